@@ -8,7 +8,9 @@ const CONFIG = {
     motionUpdateRate: 50, // ms between motion updates
     calibrationDuration: 2000, // ms for calibration
     minSpeed: 0.1, // minimum tilt to register movement
-    maxTilt: 45 // maximum tilt angle in degrees
+    maxTilt: 45, // maximum tilt angle in degrees
+    ackTimeout: 5000, // ms to wait for the server to confirm a queued action
+    positionShareRate: 2000 // ms between position reports while sharing
 };
 
 // ============================================
@@ -17,11 +19,18 @@ const CONFIG = {
 let socket;
 let roomId = null;
 let isConnected = false;
+let isPaired = false; // this socket is currently joined to roomId on the server
 let hasMotionPermission = false;
 let isCalibrating = false;
 let calibrationOffset = { alpha: 0, beta: 0, gamma: 0 };
 let currentRotation = { alpha: 0, beta: 0, gamma: 0 };
 let currentCameraPosition = { x: 0, y: 0, z: 0 };
+let currentCameraYaw = 0; // display camera heading in radians (0 faces -z)
+let cameraPositionAt = 0; // when the display last sent its camera position (ms)
+let controllerName = null; // as the server named this controller
+let positionShareInterval = null;
+// Spot under the display's crosshair while a danger/incident/sensor modal is open ({ position, normal, surface, anchor })
+let placementTarget = null;
 let motionInterval = null;
 
 // Restricted zone drawing
@@ -37,6 +46,12 @@ let touchControlInterval = null;
 let activeJoystick = null;
 let joystickStartPos = { x: 0, y: 0 };
 
+// Join as soon as the socket connects (set when opened from the display's QR code)
+let autoJoinPending = false;
+
+// Room, session key and name survive page reloads and reconnects (per browser tab)
+const SESSION_STORAGE_KEY = 'controllerSession';
+
 // ============================================
 // INITIALIZATION
 // ============================================
@@ -46,6 +61,8 @@ document.addEventListener('DOMContentLoaded', () => {
     initMotionSensors();
     initRestrictedCanvas();
     initTouchControls();
+    initQrPairing();
+    initOfflineQueue();
     setDefaultDate();
 });
 
@@ -54,12 +71,29 @@ function initSocket() {
 
     socket.on('connect', () => {
         console.log('Connected to server');
+
+        // A fresh QR pairing wins over an older stored session
+        const session = loadControllerSession();
+        if (autoJoinPending) {
+            autoJoinPending = false;
+            joinRoom();
+        } else if (session) {
+            rejoinRoom(session);
+        }
     });
 
     socket.on('disconnect', () => {
         console.log('Disconnected from server');
-        setConnectionStatus(false);
-        showToast('Disconnected from server', 'error');
+        isPaired = false;
+
+        // Stay on the controls while in a room; new annotations are queued until we're back
+        if (roomId) {
+            setOfflineStatus();
+            showToast('Connection lost - annotations will be queued', 'error');
+        } else {
+            setConnectionStatus(false);
+            showToast('Disconnected from server', 'error');
+        }
     });
 
     socket.on('display-disconnected', () => {
@@ -67,28 +101,84 @@ function initSocket() {
         setConnectionStatus(false);
     });
 
-    socket.on('camera-position-update', (position) => {
-        currentCameraPosition = position;
+    socket.on('display-reconnected', () => {
+        showToast('Display reconnected', 'success');
+        setConnectionStatus(true);
+    });
+
+    socket.on('camera-position-update', (data) => {
+        currentCameraPosition = data.position;
+        cameraPositionAt = Date.now();
+        if (data.rotation) currentCameraYaw = data.rotation.y;
     });
 
+    socket.on('placement-position-response', (target) => {
+        placementTarget = target;
+        updatePlacementText();
+    });
+
+    // Zones placed by gas alarms are announced by 'gas-alarm' instead
     socket.on('annotation-added', (annotation) => {
+        if (annotation.auto) return;
         showToast(`${annotation.type} added successfully`, 'success');
     });
 
+    socket.on('annotation-updated', (annotation) => {
+        if (annotation.auto) return;
+        showToast(`${annotation.type} updated`, 'success');
+    });
+
+    // A sensor station's gas readings crossed a threshold, or its alarm cleared
+    socket.on('gas-alarm', (alarm) => {
+        const where = alarm.label || alarm.stationId;
+        if (!alarm.level) {
+            showToast(`Gas alarm cleared at ${where}`, 'success');
+            return;
+        }
+
+        const breach = alarm.breaches[0];
+        vibrate(alarm.level === 'evacuate' ? [400, 150, 400, 150, 400, 150, 400] : [300, 150, 300]);
+        showToast(`${alarm.level.toUpperCase()}: ${breach.gas.toUpperCase()} ${breach.value} at ${where}`, 'error');
+    });
+
     socket.on('annotations-cleared', () => {
         showToast('All annotations cleared', 'success');
     });
+
+    socket.on('controllers-updated', (controllers) => {
+        updateControllerList(controllers);
+    });
+
+    // Server dropped an event because this socket is not paired with the room
+    socket.on('pairing-error', (data) => {
+        showToast(data.error, 'error');
+        setConnectionStatus(false);
+    });
+
+    // Server rejected a payload that did not match its schema
+    socket.on('validation-error', (data) => {
+        showToast(`Rejected: ${data.error}`, 'error');
+    });
+
+    socket.on('history-updated', (state) => {
+        updateHistoryButtons(state);
+    });
 }
 
 function initEventListeners() {
     // Join room
+    const nameInput = document.getElementById('controller-name-input');
+    nameInput.value = localStorage.getItem('controllerName') || '';
     document.getElementById('join-btn').addEventListener('click', joinRoom);
-    document.getElementById('room-code-input').addEventListener('keypress', (e) => {
-        if (e.key === 'Enter') joinRoom();
+    ['room-code-input', 'pairing-code-input'].forEach(id => {
+        document.getElementById(id).addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') joinRoom();
+        });
     });
 
     // Disconnect
     document.getElementById('disconnect-btn').addEventListener('click', disconnectRoom);
+    document.getElementById('share-position-btn').addEventListener('click', togglePositionSharing);
 
     // Calibration
     document.getElementById('calibrate-btn').addEventListener('click', calibrateMotion);
@@ -101,13 +191,21 @@ function initEventListeners() {
     document.getElementById('arrow-btn').addEventListener('click', () => showArrowModal());
     document.getElementById('incident-btn').addEventListener('click', () => showIncidentModal());
     document.getElementById('restricted-btn').addEventListener('click', () => showRestrictedModal());
+    document.getElementById('sensor-btn').addEventListener('click', () => showSensorModal());
     document.getElementById('clear-btn').addEventListener('click', () => showClearModal());
+    document.getElementById('undo-btn').addEventListener('click', () => stepHistory('undo'));
+    document.getElementById('redo-btn').addEventListener('click', () => stepHistory('redo'));
 
     // Danger modal
-    document.getElementById('danger-cancel').addEventListener('click', () => hideModal('danger-modal'));
+    document.getElementById('danger-cancel').addEventListener('click', () => {
+        hideModal('danger-modal');
+        endPlacement();
+    });
     document.getElementById('danger-confirm').addEventListener('click', addDangerZone);
     document.getElementById('danger-radius').addEventListener('input', (e) => {
         document.getElementById('radius-value').textContent = e.target.value;
+        // Resize the ghost on the display
+        startPlacement('danger', parseInt(e.target.value));
     });
 
     // Arrow modal
@@ -116,9 +214,18 @@ function initEventListeners() {
     document.getElementById('arrow-distance').addEventListener('input', (e) => {
         document.getElementById('distance-value').textContent = e.target.value;
     });
+    document.getElementById('arrow-route').addEventListener('click', startRouteRecording);
+
+    // Route recording
+    document.getElementById('route-add').addEventListener('click', addRouteWaypoint);
+    document.getElementById('route-finish').addEventListener('click', finishRoute);
+    document.getElementById('route-cancel').addEventListener('click', cancelRoute);
 
     // Incident modal
-    document.getElementById('incident-cancel').addEventListener('click', () => hideModal('incident-modal'));
+    document.getElementById('incident-cancel').addEventListener('click', () => {
+        hideModal('incident-modal');
+        endPlacement();
+    });
     document.getElementById('incident-confirm').addEventListener('click', addIncident);
     document.querySelectorAll('.severity-btn').forEach(btn => {
         btn.addEventListener('click', (e) => {
@@ -127,6 +234,13 @@ function initEventListeners() {
         });
     });
 
+    // Sensor station modal
+    document.getElementById('sensor-cancel').addEventListener('click', () => {
+        hideModal('sensor-modal');
+        endPlacement();
+    });
+    document.getElementById('sensor-confirm').addEventListener('click', addSensorStation);
+
     // Restricted modal
     document.getElementById('restricted-cancel').addEventListener('click', () => {
         hideModal('restricted-modal');
@@ -157,24 +271,189 @@ function joinRoom() {
         return;
     }
 
-    socket.emit('join-room', roomCode, (response) => {
+    // Shown on the display as XXXX-XXXX; the server ignores case and dashes
+    const token = document.getElementById('pairing-code-input').value.trim();
+    if (token.replace(/[\s-]/g, '').length !== 8) {
+        showError('Please enter the 8-character pairing code shown on the display');
+        return;
+    }
+
+    const name = document.getElementById('controller-name-input').value.trim();
+    localStorage.setItem('controllerName', name);
+
+    socket.emit('join-room', { roomId: roomCode, token: token, name: name }, (response) => {
         if (response.success) {
-            roomId = roomCode;
-            setConnectionStatus(true);
-            showToast('Connected to display!', 'success');
-            document.getElementById('connected-room').textContent = roomCode;
+            enterRoom(roomCode, response);
+            saveControllerSession({ roomId: roomCode, sessionKey: response.sessionKey, name: response.name });
+            showToast(`Connected to display as ${response.name}!`, 'success');
         } else {
             showError(response.error || 'Failed to join room');
         }
     });
 }
 
+// Rejoin with the session key from an earlier pairing (no pairing code needed)
+function rejoinRoom(session) {
+    const data = { roomId: session.roomId, deviceType: 'controller', sessionKey: session.sessionKey, name: session.name };
+
+    socket.emit('reconnect-room', data, (response) => {
+        if (response.success) {
+            enterRoom(session.roomId, response);
+            showToast(`Reconnected to room ${session.roomId}`, 'success');
+        } else {
+            // The room is gone or no longer knows this tablet; pair again
+            clearControllerSession();
+            roomId = null;
+            setConnectionStatus(false);
+            document.getElementById('room-code-input').value = session.roomId;
+            showError(`Could not rejoin room ${session.roomId}: ${response.error}`);
+        }
+    });
+}
+
+function enterRoom(roomCode, response) {
+    roomId = roomCode;
+    isPaired = true;
+    if (response.name) controllerName = response.name;
+    setConnectionStatus(true);
+    document.getElementById('connected-room').textContent = roomCode;
+    updateControllerList(response.controllers);
+    updateHistoryButtons(response.history);
+    flushQueue();
+}
+
+function loadControllerSession() {
+    try {
+        return JSON.parse(sessionStorage.getItem(SESSION_STORAGE_KEY));
+    } catch (e) {
+        return null;
+    }
+}
+
+function saveControllerSession(session) {
+    sessionStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session));
+}
+
+function clearControllerSession() {
+    sessionStorage.removeItem(SESSION_STORAGE_KEY);
+}
+
+// ============================================
+// QR PAIRING
+// ============================================
+// The display's QR code holds the controller URL with ?room=<code>&token=<pairing code>.
+// Opening it (e.g. from the tablet's camera app) fills in both codes and joins.
+
+function readPairingParams(text) {
+    try {
+        const url = new URL(text, window.location.href);
+        return { room: url.searchParams.get('room'), token: url.searchParams.get('token') };
+    } catch (e) {
+        return { room: null, token: null };
+    }
+}
+
+// Fill the connection form; returns true when both codes are present
+function fillPairingFields(params) {
+    if (params.room) document.getElementById('room-code-input').value = params.room;
+    if (params.token) document.getElementById('pairing-code-input').value = params.token;
+    return Boolean(params.room && params.token);
+}
+
+function initQrPairing() {
+    const params = readPairingParams(window.location.href);
+    if (params.room) {
+        // The pairing code only works once, so don't leave it in the address bar
+        history.replaceState(null, '', window.location.pathname);
+
+        if (fillPairingFields(params)) {
+            if (socket.connected) joinRoom();
+            else autoJoinPending = true;
+        }
+    }
+
+    // Reading the photo needs BarcodeDetector (missing in Safari and Firefox)
+    if (!('BarcodeDetector' in window)) {
+        document.getElementById('scan-qr-btn').classList.add('hidden');
+        document.getElementById('qr-scan-hint').classList.remove('hidden');
+        return;
+    }
+
+    const fileInput = document.getElementById('qr-file-input');
+    document.getElementById('scan-qr-btn').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+        if (fileInput.files.length > 0) scanQrImage(fileInput.files[0]);
+        fileInput.value = '';
+    });
+}
+
+// Read the display's QR code from a camera photo
+async function scanQrImage(file) {
+    try {
+        const detector = new BarcodeDetector({ formats: ['qr_code'] });
+        const codes = await detector.detect(await createImageBitmap(file));
+        const params = codes.length > 0 ? readPairingParams(codes[0].rawValue) : {};
+
+        if (fillPairingFields(params)) {
+            joinRoom();
+        } else {
+            showError('No pairing QR code found in the photo');
+        }
+    } catch (e) {
+        console.error('QR scan failed:', e);
+        showError('Could not read the QR code');
+    }
+}
+
 function disconnectRoom() {
+    clearControllerSession();
+    roomId = null;
+    isPaired = false;
     socket.disconnect();
     socket.connect();
-    roomId = null;
     setConnectionStatus(false);
     stopMotionTracking();
+    if (positionShareInterval) togglePositionSharing();
+}
+
+// ============================================
+// POSITION SHARING
+// ============================================
+// The display's camera follows this tablet, so where the camera is, the person
+// holding the tablet is. Sharing reports that as a tracked worker, under an id
+// kept per tablet.
+function getWorkerId() {
+    let workerId = localStorage.getItem('workerId');
+    if (!workerId) {
+        workerId = `TAB-${Math.random().toString(16).slice(2, 10).toUpperCase()}`;
+        localStorage.setItem('workerId', workerId);
+    }
+    return workerId;
+}
+
+function togglePositionSharing() {
+    const button = document.getElementById('share-position-btn');
+    if (positionShareInterval) {
+        clearInterval(positionShareInterval);
+        positionShareInterval = null;
+    } else {
+        positionShareInterval = setInterval(sharePosition, CONFIG.positionShareRate);
+        sharePosition();
+    }
+    button.textContent = positionShareInterval ? 'Stop Sharing Position' : 'Share My Position';
+    button.classList.toggle('active', positionShareInterval !== null);
+}
+
+function sharePosition() {
+    // Without fresh camera updates the display is gone; let the avatar fade instead
+    if (!isPaired || Date.now() - cameraPositionAt > CONFIG.positionShareRate * 2) return;
+
+    socket.emit('worker-position', {
+        roomId: roomId,
+        workerId: getWorkerId(),
+        name: controllerName || undefined,
+        position: { x: currentCameraPosition.x, z: currentCameraPosition.z }
+    });
 }
 
 function setConnectionStatus(connected) {
@@ -205,6 +484,20 @@ function setConnectionStatus(connected) {
     }
 }
 
+// Lost the socket while in a room: keep the controls, but show that we're offline
+function setOfflineStatus() {
+    isConnected = false;
+    const statusEl = document.getElementById('connection-status');
+    statusEl.classList.remove('connected');
+    statusEl.classList.add('disconnected');
+    document.getElementById('status-text').textContent = 'Offline';
+}
+
+function updateControllerList(controllers) {
+    const names = (controllers || []).map(c => c.name).join(', ');
+    document.getElementById('connected-controllers').textContent = `Controllers: ${names}`;
+}
+
 function showError(message) {
     const errorEl = document.getElementById('connection-error');
     errorEl.textContent = message;
@@ -365,6 +658,9 @@ function showDangerModal() {
     document.getElementById('danger-radius').value = 5;
     document.getElementById('radius-value').textContent = '5';
     showModal('danger-modal');
+    placementTarget = null;
+    updatePlacementText();
+    startPlacement('danger', 5);
 }
 
 function showArrowModal() {
@@ -379,19 +675,69 @@ function showIncidentModal() {
     document.querySelectorAll('.severity-btn').forEach(b => b.classList.remove('active'));
     document.querySelector('.severity-btn[data-severity="medium"]').classList.add('active');
     showModal('incident-modal');
+    placementTarget = null;
+    updatePlacementText();
+    startPlacement('incident');
 }
 
 function showRestrictedModal() {
     restrictedVertices = [];
+    document.getElementById('restricted-warn-only').checked = false;
     updateRestrictedCanvas();
     updateVertexCount();
     showModal('restricted-modal');
 }
 
+function showSensorModal() {
+    document.getElementById('sensor-station-id').value = '';
+    document.getElementById('sensor-label').value = '';
+    document.getElementById('sensor-depth').value = '';
+    showModal('sensor-modal');
+    placementTarget = null;
+    updatePlacementText();
+    startPlacement('sensor');
+}
+
 function showClearModal() {
     showModal('clear-modal');
 }
 
+// ============================================
+// PLACEMENT
+// ============================================
+
+// Ask the display to preview the marker at its crosshair; it streams the spot back
+function startPlacement(type, radius) {
+    if (isPaired) {
+        socket.emit('request-placement', { roomId: roomId, type: type, radius: radius });
+    }
+}
+
+function endPlacement() {
+    placementTarget = null;
+    if (isPaired) {
+        socket.emit('end-placement', { roomId: roomId });
+    }
+}
+
+// Where the marker will go, or the camera position when the display can't be asked
+function placementPosition() {
+    return placementTarget ? { ...placementTarget.anchor } : { ...currentCameraPosition };
+}
+
+function updatePlacementText() {
+    let text = 'Marker will be placed at the display\'s position';
+    if (placementTarget) {
+        const dx = placementTarget.anchor.x - currentCameraPosition.x;
+        const dz = placementTarget.anchor.z - currentCameraPosition.z;
+        const distance = Math.sqrt(dx * dx + dz * dz).toFixed(1);
+        text = `Placing on the ${placementTarget.surface || 'floor'} at the display's crosshair, ${distance} m away`;
+    }
+    document.getElementById('danger-placement').textContent = text;
+    document.getElementById('incident-placement').textContent = text;
+    document.getElementById('sensor-placement').textContent = text;
+}
+
 // ============================================
 // ADD ANNOTATIONS
 // ============================================
@@ -399,53 +745,148 @@ function addDangerZone() {
     const label = document.getElementById('danger-label').value || 'Danger Zone';
     const radius = parseInt(document.getElementById('danger-radius').value) || 5;
 
-    socket.emit('add-danger-zone', {
+    queueAction('add-danger-zone', {
         roomId: roomId,
-        position: { ...currentCameraPosition },
+        position: placementPosition(),
         radius: radius,
         label: label
-    });
+    }, `Danger zone "${label}"`);
 
     hideModal('danger-modal');
+    endPlacement();
 }
 
 function addArrow() {
     const label = document.getElementById('arrow-label').value || 'Direction';
     const distance = parseInt(document.getElementById('arrow-distance').value) || 10;
 
-    // Calculate end position based on current camera direction
-    // For simplicity, we'll create an arrow pointing forward from current position
+    // Point the way the display's camera faces (yaw 0 looks down -z)
     const start = { ...currentCameraPosition };
     const end = {
-        x: start.x,
+        x: start.x - Math.sin(currentCameraYaw) * distance,
         y: start.y,
-        z: start.z - distance // Forward is -Z direction
+        z: start.z - Math.cos(currentCameraYaw) * distance
     };
 
-    socket.emit('add-arrow', {
+    queueAction('add-arrow', {
         roomId: roomId,
         start: start,
         end: end,
         label: label
-    });
+    }, `Arrow "${label}"`);
 
     hideModal('arrow-modal');
 }
 
+// ============================================
+// ROUTE ARROWS
+// ============================================
+
+// Waypoints of the route being recorded (null when not recording)
+let routeWaypoints = null;
+let routeLabel = '';
+
+// Walk the display to each turn and tap "Add Waypoint"; starts at the current position
+function startRouteRecording() {
+    routeLabel = document.getElementById('arrow-label').value || 'Route';
+    routeWaypoints = [{ ...currentCameraPosition }];
+    hideModal('arrow-modal');
+
+    document.getElementById('route-label').textContent = routeLabel;
+    document.getElementById('route-recorder').classList.remove('hidden');
+    updateRouteStatus();
+}
+
+function addRouteWaypoint() {
+    const last = routeWaypoints[routeWaypoints.length - 1];
+    const dx = currentCameraPosition.x - last.x;
+    const dz = currentCameraPosition.z - last.z;
+    if (Math.sqrt(dx * dx + dz * dz) < 1) {
+        showToast('Walk further before adding a waypoint', 'error');
+        return;
+    }
+    if (routeWaypoints.length >= 50) {
+        showToast('A route can have at most 50 waypoints', 'error');
+        return;
+    }
+
+    routeWaypoints.push({ ...currentCameraPosition });
+    updateRouteStatus();
+}
+
+function routeLength(waypoints) {
+    let length = 0;
+    for (let i = 1; i < waypoints.length; i++) {
+        length += Math.sqrt(
+            Math.pow(waypoints[i].x - waypoints[i - 1].x, 2) +
+            Math.pow(waypoints[i].z - waypoints[i - 1].z, 2)
+        );
+    }
+    return length;
+}
+
+function updateRouteStatus() {
+    const count = routeWaypoints.length;
+    document.getElementById('route-status').textContent =
+        `${count} waypoint${count === 1 ? '' : 's'} · ${routeLength(routeWaypoints).toFixed(1)} m`;
+    document.getElementById('route-finish').disabled = count < 2;
+}
+
+function finishRoute() {
+    if (routeWaypoints.length < 2) return;
+
+    // The server takes the route's start and end from its waypoints
+    queueAction('add-arrow', {
+        roomId: roomId,
+        waypoints: routeWaypoints,
+        label: routeLabel
+    }, `Route "${routeLabel}" (${routeWaypoints.length} waypoints)`);
+
+    cancelRoute();
+}
+
+function cancelRoute() {
+    routeWaypoints = null;
+    document.getElementById('route-recorder').classList.add('hidden');
+}
+
 function addIncident() {
     const date = document.getElementById('incident-date').value;
     const description = document.getElementById('incident-description').value || 'Incident reported';
     const severity = document.querySelector('.severity-btn.active').dataset.severity;
 
-    socket.emit('add-incident', {
+    queueAction('add-incident', {
         roomId: roomId,
-        position: { ...currentCameraPosition },
+        position: placementPosition(),
         date: date,
         description: description,
         severity: severity
-    });
+    }, `Incident (${severity})`);
 
     hideModal('incident-modal');
+    endPlacement();
+}
+
+function addSensorStation() {
+    const stationId = document.getElementById('sensor-station-id').value.trim();
+    if (!/^[\w-]{1,32}$/.test(stationId)) {
+        showToast('Station ID: letters, digits, - and _ only', 'error');
+        return;
+    }
+
+    const label = document.getElementById('sensor-label').value || stationId;
+    const depth = parseFloat(document.getElementById('sensor-depth').value);
+
+    queueAction('add-sensor-station', {
+        roomId: roomId,
+        stationId: stationId,
+        position: placementPosition(),
+        label: label,
+        depth: Number.isFinite(depth) ? depth : undefined
+    }, `Sensor "${stationId}"`);
+
+    hideModal('sensor-modal');
+    endPlacement();
 }
 
 function addRestrictedZone() {
@@ -460,11 +901,14 @@ function addRestrictedZone() {
         z: currentCameraPosition.z + (v.y - 100) * 0.3
     }));
 
-    socket.emit('add-restricted-zone', {
+    const warnOnly = document.getElementById('restricted-warn-only').checked;
+
+    queueAction('add-restricted-zone', {
         roomId: roomId,
         vertices: worldVertices,
-        active: true
-    });
+        active: true,
+        warnOnly: warnOnly
+    }, `Restricted zone (${worldVertices.length} points${warnOnly ? ', warn only' : ''})`);
 
     hideModal('restricted-modal');
     restrictedVertices = [];
@@ -475,6 +919,155 @@ function clearAllAnnotations() {
     hideModal('clear-modal');
 }
 
+// ============================================
+// OFFLINE QUEUE
+// ============================================
+// New annotations are written to IndexedDB first and sent from there, so a
+// hazard marked while the Wi-Fi is down survives until the connection returns
+// (even across a page reload). Each action carries a client-generated id and
+// the server ignores ids it has already applied, so sending one twice is harmless.
+
+const QUEUE_DB_NAME = 'ar-mine-controller';
+const QUEUE_STORE = 'pending-actions';
+let queueDb = null;
+let isFlushing = false;
+let flushRequested = false;
+
+function initOfflineQueue() {
+    openQueueDb()
+        .then(db => {
+            queueDb = db;
+            renderPendingActions();
+            flushQueue();
+        })
+        .catch(err => console.warn('Offline queue unavailable, sending directly:', err));
+}
+
+function openQueueDb() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(QUEUE_DB_NAME, 1);
+        request.onupgradeneeded = () => {
+            // seq keeps actions in the order they were made
+            request.result.createObjectStore(QUEUE_STORE, { keyPath: 'seq', autoIncrement: true });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Run one request against the queue store and resolve with its result
+function queueRequest(mode, makeRequest) {
+    return new Promise((resolve, reject) => {
+        const tx = queueDb.transaction(QUEUE_STORE, mode);
+        const request = makeRequest(tx.objectStore(QUEUE_STORE));
+        tx.oncomplete = () => resolve(request.result);
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+// crypto.randomUUID() needs HTTPS, which a LAN demo usually doesn't have
+function generateActionId() {
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+async function queueAction(event, data, description) {
+    const id = generateActionId();
+    const payload = { ...data, clientId: id };
+
+    if (!queueDb) {
+        socket.emit(event, payload);
+        return;
+    }
+
+    await queueRequest('readwrite', store => store.add({ id, event, data: payload, description, queuedAt: new Date().toISOString() }));
+    renderPendingActions();
+
+    if (!isPaired) showToast(`Offline - ${description} queued`, 'info');
+    flushQueue();
+}
+
+// Send queued actions in order, one at a time, removing each once the server confirms it
+async function flushQueue() {
+    if (!queueDb) return;
+    if (isFlushing) {
+        flushRequested = true;
+        return;
+    }
+
+    isFlushing = true;
+    try {
+        const actions = await queueRequest('readonly', store => store.getAll());
+        for (const action of actions) {
+            if (!isPaired) break;
+
+            const response = await sendQueuedAction(action);
+            if (!response) break; // no answer; keep it for the next reconnect
+
+            await queueRequest('readwrite', store => store.delete(action.seq));
+            if (!response.success) {
+                showToast(`${action.description} was rejected: ${response.error}`, 'error');
+            }
+        }
+    } catch (err) {
+        console.error('Error flushing offline queue:', err);
+    } finally {
+        isFlushing = false;
+        renderPendingActions();
+        if (flushRequested) {
+            flushRequested = false;
+            flushQueue();
+        }
+    }
+}
+
+// Resolves with the server's reply, or null if it doesn't answer in time
+function sendQueuedAction(action) {
+    return new Promise(resolve => {
+        socket.timeout(CONFIG.ackTimeout).emit(action.event, action.data, (err, response) => {
+            resolve(err ? null : response);
+        });
+    });
+}
+
+async function renderPendingActions() {
+    if (!queueDb) return;
+
+    const actions = await queueRequest('readonly', store => store.getAll());
+    const container = document.getElementById('pending-actions');
+    const list = document.getElementById('pending-list');
+
+    container.classList.toggle('hidden', actions.length === 0);
+    list.innerHTML = '';
+    actions.forEach(action => {
+        const li = document.createElement('li');
+        li.textContent = action.description;
+        const badge = document.createElement('span');
+        badge.className = 'pending-badge';
+        badge.textContent = 'pending';
+        li.appendChild(badge);
+        list.appendChild(li);
+    });
+}
+
+// ============================================
+// UNDO / REDO
+// ============================================
+function stepHistory(direction) {
+    socket.emit(direction, { roomId: roomId }, (response) => {
+        if (response.success) {
+            showToast(`${direction === 'undo' ? 'Undid' : 'Redid'} ${response.action}`, 'success');
+        } else {
+            showToast(response.error, 'error');
+        }
+    });
+}
+
+function updateHistoryButtons(state) {
+    document.getElementById('undo-btn').disabled = !state || !state.canUndo;
+    document.getElementById('redo-btn').disabled = !state || !state.canRedo;
+}
+
 // ============================================
 // RESTRICTED ZONE CANVAS
 // ============================================
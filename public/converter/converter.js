@@ -22,6 +22,9 @@ let flickerLights = [];
 let flashlight;
 let isFlashlightOn = true;
 let mineData = null;
+let mineWalls = [];   // wall segments { start, end } the camera collides with
+let minePillars = []; // { x, z, radius }
+let exitMarkers = null; // group of exit / refuge markers in the scene
 
 // Configuration
 const CONFIG = {
@@ -370,6 +373,7 @@ function setupActionHandlers() {
     document.getElementById('back-btn').addEventListener('click', backToUpload);
     document.getElementById('fullscreen-btn').addEventListener('click', toggleFullscreen);
     document.getElementById('export-btn').addEventListener('click', exportMineData);
+    setupSendToRoom();
 }
 
 function backToUpload() {
@@ -394,11 +398,10 @@ function toggleFullscreen() {
     }
 }
 
-function exportMineData() {
-    if (!processedData) return;
-
-    const exportData = {
-        name: 'Generated Mine',
+// Layout JSON in the format the display and the server's layout store read
+function buildLayoutData(name) {
+    return {
+        name: name || 'Generated Mine',
         version: '1.0',
         generatedAt: new Date().toISOString(),
         settings: {
@@ -407,8 +410,15 @@ function exportMineData() {
         },
         walls: processedData.walls,
         rooms: processedData.rooms,
+        exits: processedData.exits || [],
         bounds: processedData.bounds
     };
+}
+
+function exportMineData() {
+    if (!processedData) return;
+
+    const exportData = buildLayoutData();
 
     const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' });
     const url = URL.createObjectURL(blob);
@@ -421,6 +431,123 @@ function exportMineData() {
     URL.revokeObjectURL(url);
 }
 
+// ============================================
+// SEND TO ROOM
+// ============================================
+
+// Session key per room, so later sends to the same room need no new pairing code
+const SEND_SESSION_STORAGE_KEY = 'converterSessions';
+
+function loadSendSessions() {
+    try {
+        return JSON.parse(sessionStorage.getItem(SEND_SESSION_STORAGE_KEY)) || {};
+    } catch (e) {
+        return {};
+    }
+}
+
+function saveSendSession(roomId, sessionKey) {
+    const sessions = loadSendSessions();
+    if (sessionKey) {
+        sessions[roomId] = sessionKey;
+    } else {
+        delete sessions[roomId];
+    }
+    sessionStorage.setItem(SEND_SESSION_STORAGE_KEY, JSON.stringify(sessions));
+}
+
+function setupSendToRoom() {
+    const panel = document.getElementById('send-panel');
+    const roomInput = document.getElementById('send-room');
+
+    document.getElementById('send-btn').addEventListener('click', () => {
+        panel.classList.toggle('hidden');
+        setSendStatus('');
+        updateSendTokenField();
+    });
+    document.getElementById('send-cancel').addEventListener('click', () => {
+        panel.classList.add('hidden');
+    });
+    document.getElementById('send-confirm').addEventListener('click', sendLayoutToRoom);
+
+    roomInput.addEventListener('input', () => {
+        roomInput.value = roomInput.value.replace(/\D/g, '');
+        updateSendTokenField();
+    });
+}
+
+// The pairing code is only needed for rooms we haven't paired with yet
+function updateSendTokenField() {
+    const roomCode = document.getElementById('send-room').value;
+    const paired = Boolean(loadSendSessions()[roomCode]);
+    document.getElementById('send-token-group').classList.toggle('hidden', paired);
+}
+
+function setSendStatus(text, type) {
+    const status = document.getElementById('send-status');
+    status.textContent = text;
+    status.className = type || '';
+}
+
+async function sendLayoutToRoom() {
+    if (!processedData) return;
+
+    const roomCode = document.getElementById('send-room').value;
+    const token = document.getElementById('send-token').value.trim();
+    const name = document.getElementById('send-name').value.trim();
+
+    if (!/^\d{4}$/.test(roomCode)) {
+        setSendStatus('Enter the 4-digit room code shown on the display', 'error');
+        return;
+    }
+
+    try {
+        let sessionKey = loadSendSessions()[roomCode];
+        if (!sessionKey) {
+            if (!token) {
+                setSendStatus('Enter the pairing code shown on the display', 'error');
+                return;
+            }
+            setSendStatus('Pairing...');
+            const pairing = await requestJson(`/api/rooms/${roomCode}/pair`, 'POST', { token });
+            sessionKey = pairing.sessionKey;
+            saveSendSession(roomCode, sessionKey);
+            document.getElementById('send-token').value = '';
+        }
+
+        setSendStatus('Uploading layout...');
+        await requestJson(`/api/rooms/${roomCode}/layout`, 'PUT', { layout: buildLayoutData(name) }, sessionKey);
+
+        setSendStatus(`Sent to room ${roomCode}`, 'success');
+    } catch (err) {
+        // A key the server no longer accepts is useless; ask for a new pairing code
+        if (err.status === 401) saveSendSession(roomCode, null);
+        setSendStatus(err.message, 'error');
+    }
+    updateSendTokenField();
+}
+
+// JSON request that rejects with the server's error message (and the status code)
+async function requestJson(url, method, body, sessionKey) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (sessionKey) headers['X-Session-Key'] = sessionKey;
+
+    let res;
+    try {
+        res = await fetch(url, { method, headers, body: JSON.stringify(body) });
+    } catch (e) {
+        throw new Error('Could not reach the server');
+    }
+
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok || !data.success) {
+        const err = new Error(data.error || `Request failed (${res.status})`);
+        err.status = res.status;
+        throw err;
+    }
+    return data;
+}
+
 // ============================================
 // 3D ENVIRONMENT GENERATION
 // ============================================
@@ -502,6 +629,11 @@ function init3DScene() {
     createFlashlight();
     createMineFromData();
 
+    // Don't start inside a wall
+    const start = resolveCollisions(camera.position.x, camera.position.z);
+    camera.position.x = start.x;
+    camera.position.z = start.z;
+
     if (document.getElementById('add-dust').checked) {
         createDustParticles();
     }
@@ -668,6 +800,9 @@ function createMineFromData() {
         scene.add(ceiling);
     }
 
+    mineWalls = [];
+    minePillars = [];
+
     // Create walls from processed data
     mineData.walls.forEach(wall => {
         createWallSegment(wall, wallMaterial);
@@ -683,6 +818,8 @@ function createMineFromData() {
 
     // Add rails
     createRails();
+
+    updateExitMarkers();
 }
 
 function createWallSegment(wall, material) {
@@ -703,6 +840,7 @@ function createWallSegment(wall, material) {
     wallMesh.receiveShadow = true;
 
     scene.add(wallMesh);
+    mineWalls.push({ start: wall.start, end: wall.end });
 }
 
 function createRoomPillars(room, material) {
@@ -722,6 +860,7 @@ function createRoomPillars(room, material) {
             pillar.castShadow = true;
             pillar.receiveShadow = true;
             scene.add(pillar);
+            minePillars.push({ x: pos.x, z: pos.z, radius: 0.5 });
         }
     });
 }
@@ -869,6 +1008,128 @@ function createDustParticles() {
     scene.add(dustParticles);
 }
 
+// ============================================
+// EXITS
+// ============================================
+const EXIT_TOGGLE_RADIUS = 2; // meters; marking near an existing marker removes it
+
+// Mark (or unmark) an exit or refuge where the camera stands; the display's exit guide leads to them
+function toggleExit(kind) {
+    if (!processedData) return;
+    const exits = processedData.exits = processedData.exits || [];
+    const x = Math.round(camera.position.x * 10) / 10;
+    const z = Math.round(camera.position.z * 10) / 10;
+
+    const existing = exits.findIndex(exit => Math.hypot(exit.x - x, exit.z - z) < EXIT_TOGGLE_RADIUS);
+    if (existing !== -1) {
+        exits.splice(existing, 1);
+    } else {
+        const count = exits.filter(exit => exit.kind === kind).length + 1;
+        exits.push({ x, z, label: `${kind === 'refuge' ? 'Refuge' : 'Exit'} ${count}`, kind });
+    }
+    updateExitMarkers();
+}
+
+function updateExitMarkers() {
+    if (exitMarkers) {
+        exitMarkers.traverse(obj => {
+            if (obj.geometry) obj.geometry.dispose();
+            if (obj.material) obj.material.dispose();
+        });
+        scene.remove(exitMarkers);
+    }
+    exitMarkers = new THREE.Group();
+
+    const exits = processedData.exits || [];
+    exits.forEach(exit => {
+        const color = exit.kind === 'refuge' ? 0x44aaff : 0x00ff88;
+        const material = new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.8, side: THREE.DoubleSide });
+
+        const ring = new THREE.Mesh(new THREE.RingGeometry(0.8, 1.0, 32), material);
+        ring.rotation.x = -Math.PI / 2;
+        ring.position.set(exit.x, 0.03, exit.z);
+        exitMarkers.add(ring);
+
+        const post = new THREE.Mesh(new THREE.CylinderGeometry(0.05, 0.05, 2.5, 8), material);
+        post.position.set(exit.x, 1.25, exit.z);
+        exitMarkers.add(post);
+    });
+    scene.add(exitMarkers);
+
+    document.getElementById('exit-count').textContent = exits.length;
+}
+
+// ============================================
+// COLLISION DETECTION
+// ============================================
+const PLAYER_RADIUS = 0.4;
+const WALL_HALF_THICKNESS = 0.15; // createWallSegment boxes are 0.3 m thick
+const MAX_MOVE_STEP = 0.2;        // smaller than any overlap depth, so fast moves can't tunnel through walls
+
+// Move the camera across the floor, stopping at walls and pillars and sliding along them
+function moveCamera(dx, dz) {
+    const distance = Math.sqrt(dx * dx + dz * dz);
+    if (distance === 0) return;
+
+    const steps = Math.ceil(distance / MAX_MOVE_STEP);
+    for (let i = 0; i < steps; i++) {
+        const next = resolveCollisions(camera.position.x + dx / steps, camera.position.z + dz / steps);
+        camera.position.x = next.x;
+        camera.position.z = next.z;
+    }
+}
+
+// Push a floor point out of every wall and pillar it overlaps; pushing along
+// the surface normal keeps the sideways part of the move, so the player slides
+function resolveCollisions(x, z) {
+    const push = (closestX, closestZ, minDistance, fallbackNormal) => {
+        const offsetX = x - closestX;
+        const offsetZ = z - closestZ;
+        const distance = Math.sqrt(offsetX * offsetX + offsetZ * offsetZ);
+        if (distance >= minDistance) return false;
+
+        if (distance > 1e-6) {
+            x = closestX + offsetX / distance * minDistance;
+            z = closestZ + offsetZ / distance * minDistance;
+        } else {
+            x = closestX + fallbackNormal.x * minDistance;
+            z = closestZ + fallbackNormal.z * minDistance;
+        }
+        return true;
+    };
+
+    for (let pass = 0; pass < 3; pass++) {
+        let collided = false;
+
+        mineWalls.forEach(wall => {
+            const closest = closestPointOnSegment(x, z, wall.start, wall.end);
+            if (push(closest.x, closest.z, PLAYER_RADIUS + WALL_HALF_THICKNESS, closest.normal)) collided = true;
+        });
+
+        minePillars.forEach(pillar => {
+            if (push(pillar.x, pillar.z, PLAYER_RADIUS + pillar.radius, { x: 1, z: 0 })) collided = true;
+        });
+
+        if (!collided) break;
+    }
+
+    return { x, z };
+}
+
+function closestPointOnSegment(x, z, start, end) {
+    const dx = end.x - start.x;
+    const dz = end.z - start.z;
+    const lengthSq = dx * dx + dz * dz;
+    const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((x - start.x) * dx + (z - start.z) * dz) / lengthSq)) : 0;
+    const length = Math.sqrt(lengthSq) || 1;
+
+    return {
+        x: start.x + dx * t,
+        z: start.z + dz * t,
+        normal: { x: -dz / length, z: dx / length }
+    };
+}
+
 // ============================================
 // CONTROLS
 // ============================================
@@ -897,6 +1158,9 @@ function setupControls() {
     });
 
     document.addEventListener('keydown', (event) => {
+        // Typing in the Send to Room form must not move the camera
+        if (event.target.tagName === 'INPUT') return;
+
         switch (event.code) {
             case 'KeyW':
             case 'ArrowUp':
@@ -921,6 +1185,12 @@ function setupControls() {
             case 'KeyF':
                 toggleFlashlight();
                 break;
+            case 'KeyX':
+                toggleExit('exit');
+                break;
+            case 'KeyR':
+                toggleExit('refuge');
+                break;
             case 'Escape':
                 document.exitPointerLock();
                 break;
@@ -1015,6 +1285,12 @@ function updateMinimap() {
         );
     });
 
+    // Draw exits and refuges
+    (mineData.exits || []).forEach(exit => {
+        ctx.fillStyle = exit.kind === 'refuge' ? '#44aaff' : '#00ff88';
+        ctx.fillRect(offsetX + exit.x * scale - 3, offsetZ - exit.z * scale - 3, 6, 6);
+    });
+
     // Draw player
     const playerMapX = offsetX + camera.position.x * scale;
     const playerMapZ = offsetZ - camera.position.z * scale;
@@ -1065,7 +1341,7 @@ function animate() {
         moveDir.applyQuaternion(camera.quaternion);
         moveDir.y = 0;
 
-        camera.position.add(moveDir);
+        moveCamera(moveDir.x, moveDir.z);
     }
 
     // Keep camera at proper height
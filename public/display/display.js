@@ -24,8 +24,26 @@ let euler = new THREE.Euler(0, 0, 0, 'YXZ');
 let isPointerLocked = false;
 let socket;
 let roomId = null;
+let sessionKey = null; // proves this display owns roomId when reconnecting
+let controllerOrigin = window.location.origin; // base URL put in the pairing QR code
+
+// Spectator mode (display.html?spectate=1234): read-only mirror of the primary display
+const spectateRoomId = new URLSearchParams(window.location.search).get('spectate');
+const isSpectator = spectateRoomId !== null;
+
+// Room code and session key survive page reloads and reconnects (per browser tab)
+const SESSION_STORAGE_KEY = 'displaySession';
+
+// display.html?room=1234&reclaim=<code>: take over a room left without a display,
+// with the one-time code the server printed for it. Tried once, on first connect.
+let reclaimRequest = readReclaimRequest();
+
 let annotations = [];
-let mineWalls = [];
+let mineWalls = [];   // wall segments { mesh, start, end } the camera collides with
+let minePillars = []; // { x, z, radius }
+let mineLayout = null; // layout JSON the current mine was built from
+let mineLayoutName = null; // its name on the server (null for a ?layoutUrl= layout)
+let mineGroup = null;  // every mesh and light built from mineLayout
 let playerPosition = new THREE.Vector3(0, CONFIG.camera.height, 0);
 let minimapCanvas, minimapCtx;
 let dustParticles;
@@ -70,35 +88,46 @@ function init() {
 
     clock = new THREE.Clock();
 
-    updateLoadingStatus('Building mine environment...');
-
-    // Build the mine
     createLighting();
     createFlashlight();
-    createMineEnvironment();
-    createDustParticles();
 
-    updateLoadingStatus('Setting up controls...');
+    updateLoadingStatus('Loading mine layout...');
+
+    loadLayout().then(layout => {
+        updateLoadingStatus('Building mine environment...');
+
+        // Build the mine and start at its entrance
+        buildMine(layout);
+        const spawn = getSpawnPoint(layout);
+        camera.position.set(spawn.x, CONFIG.camera.height, spawn.z);
+
+        updateLoadingStatus('Setting up controls...');
 
-    // Setup controls and events
-    setupControls();
-    setupMinimap();
+        // Setup controls and events
+        setupControls();
+        setupMinimap();
+        setupLayoutSelect();
+        setupSensorChart();
 
-    updateLoadingStatus('Connecting to server...');
+        updateLoadingStatus('Connecting to server...');
 
-    // Connect to server
-    connectToServer();
+        // Connect to server (once we know which address the pairing QR code should use)
+        resolveControllerOrigin().then(connectToServer);
 
-    // Initialize audio
-    initAudio();
+        // Initialize audio
+        initAudio();
 
-    // Start animation loop
-    animate();
+        // Start animation loop
+        animate();
 
-    // Hide loading screen after delay
-    setTimeout(() => {
-        document.getElementById('loading-screen').classList.add('hidden');
-    }, 1500);
+        // Hide loading screen after delay
+        setTimeout(() => {
+            document.getElementById('loading-screen').classList.add('hidden');
+        }, 1500);
+    }).catch(err => {
+        console.error('Could not load any mine layout:', err);
+        updateLoadingStatus('Could not load the mine layout. Is the server running?');
+    });
 }
 
 function updateLoadingStatus(status) {
@@ -114,37 +143,7 @@ function createLighting() {
     const ambient = new THREE.AmbientLight(CONFIG.lighting.ambient, 0.3);
     scene.add(ambient);
 
-    // Create flickering point lights along corridors
-    const lightPositions = [
-        { x: 0, y: 3, z: -15 },
-        { x: 0, y: 3, z: -30 },
-        { x: 0, y: 3, z: -45 },
-        { x: 0, y: 3, z: -60 },
-        { x: 0, y: 3, z: -75 },
-        { x: -20, y: 3, z: -30 },
-        { x: 20, y: 3, z: -30 },
-        { x: -20, y: 3, z: -60 },
-        { x: 20, y: 3, z: -60 },
-    ];
-
-    lightPositions.forEach(pos => {
-        const light = new THREE.PointLight(CONFIG.lighting.point, 1, 30);
-        light.position.set(pos.x, pos.y, pos.z);
-        light.castShadow = true;
-        light.shadow.mapSize.width = 512;
-        light.shadow.mapSize.height = 512;
-        scene.add(light);
-
-        // Light fixture mesh
-        const fixtureGeom = new THREE.CylinderGeometry(0.1, 0.2, 0.3, 8);
-        const fixtureMat = new THREE.MeshBasicMaterial({ color: 0xffaa44, emissive: 0xffaa44 });
-        const fixture = new THREE.Mesh(fixtureGeom, fixtureMat);
-        fixture.position.copy(light.position);
-        fixture.position.y += 0.3;
-        scene.add(fixture);
-
-        flickerLights.push({ light, baseIntensity: 1 });
-    });
+    // Flickering ceiling lights belong to the layout (see createMineLight)
 }
 
 // ============================================
@@ -210,7 +209,64 @@ function toggleFlashlight() {
 // ============================================
 // MINE ENVIRONMENT
 // ============================================
-function createMineEnvironment() {
+// The mine is built from a layout in the blueprint converter's export format:
+// { name, settings: { wallHeight }, walls: [{ start, end, height }], rooms: [{ center, width, depth }], bounds }
+// Optional display extras: spawn {x, z}, pillars, lights and equipment ([{x, z}]), rails ([{start, end}]),
+// exits ([{x, z, label, kind: 'exit' | 'refuge'}]) the exit guide leads to.
+
+// ?layout=<name> picks a layout stored on the server, ?layoutUrl=<url> loads any layout JSON
+function loadLayout() {
+    const params = new URLSearchParams(window.location.search);
+    mineLayoutName = params.has('layoutUrl') ? null : (params.get('layout') || 'default');
+    const url = params.get('layoutUrl') || `/api/layouts/${encodeURIComponent(mineLayoutName)}`;
+
+    return fetchLayout(url).catch(err => {
+        console.error(`Could not load layout from ${url}:`, err);
+        showWarning('LAYOUT NOT FOUND - USING DEFAULT');
+        mineLayoutName = 'default';
+        return fetchLayout('/api/layouts/default');
+    });
+}
+
+function fetchLayout(url) {
+    return fetch(url)
+        .then(res => {
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            return res.json();
+        })
+        // The layout API wraps the file in { success, layout }; plain files are used as-is
+        .then(data => data.layout || data);
+}
+
+function getWallHeight(layout) {
+    return (layout.settings && layout.settings.wallHeight) || layout.wallHeight || 4;
+}
+
+// Converter exports always include bounds; compute them for hand-written layouts
+function getLayoutBounds(layout) {
+    if (layout.bounds) return layout.bounds;
+
+    let minX = Infinity, maxX = -Infinity, minZ = Infinity, maxZ = -Infinity;
+    layout.walls.forEach(wall => {
+        minX = Math.min(minX, wall.start.x, wall.end.x);
+        maxX = Math.max(maxX, wall.start.x, wall.end.x);
+        minZ = Math.min(minZ, wall.start.z, wall.end.z);
+        maxZ = Math.max(maxZ, wall.start.z, wall.end.z);
+    });
+    return { minX, maxX, minZ, maxZ };
+}
+
+// Build (or rebuild) everything that comes from the layout into mineGroup
+function buildMine(layout) {
+    if (mineGroup) disposeMine();
+
+    mineLayout = layout;
+    mineGroup = new THREE.Group();
+    scene.add(mineGroup);
+
+    const wallHeight = getWallHeight(layout);
+    const bounds = getLayoutBounds(layout);
+
     // Create textures procedurally
     const rockTexture = createRockTexture();
     const floorTexture = createFloorTexture();
@@ -236,92 +292,307 @@ function createMineEnvironment() {
         metalness: 0
     });
 
-    // Main corridor (North-South)
-    createTunnel(0, 0, -90, 8, 4, 180, wallMaterial, floorMaterial, ceilingMaterial);
+    // Floor and ceiling cover the whole layout (with a margin), like the converter
+    const width = bounds.maxX - bounds.minX + 20;
+    const depth = bounds.maxZ - bounds.minZ + 20;
+    const centerX = (bounds.minX + bounds.maxX) / 2;
+    const centerZ = (bounds.minZ + bounds.maxZ) / 2;
+    floorTexture.repeat.set(width / 10, depth / 10);
 
-    // Side tunnels (East-West)
-    createTunnel(-25, 0, -30, 50, 4, 6, wallMaterial, floorMaterial, ceilingMaterial);
-    createTunnel(25, 0, -30, 50, 4, 6, wallMaterial, floorMaterial, ceilingMaterial);
-    createTunnel(-25, 0, -60, 50, 4, 6, wallMaterial, floorMaterial, ceilingMaterial);
-    createTunnel(25, 0, -60, 50, 4, 6, wallMaterial, floorMaterial, ceilingMaterial);
-    createTunnel(-25, 0, -90, 50, 4, 6, wallMaterial, floorMaterial, ceilingMaterial);
+    const floorGeom = new THREE.PlaneGeometry(width, depth);
+    const floor = new THREE.Mesh(floorGeom, floorMaterial);
+    floor.rotation.x = -Math.PI / 2;
+    floor.position.set(centerX, 0, centerZ);
+    floor.receiveShadow = true;
+    floor.userData.surface = 'floor';
+    mineGroup.add(floor);
+    placementSurfaces.push(floor);
+
+    const ceiling = new THREE.Mesh(floorGeom, ceilingMaterial);
+    ceiling.rotation.x = Math.PI / 2;
+    ceiling.position.set(centerX, wallHeight, centerZ);
+    mineGroup.add(ceiling);
+
+    // Walls
+    layout.walls.forEach(wall => {
+        createWallSegment(wall, wall.height || wallHeight, wallMaterial);
+    });
 
     // Support pillars
-    const pillarPositions = [
-        { x: -3, z: -20 }, { x: 3, z: -20 },
-        { x: -3, z: -40 }, { x: 3, z: -40 },
-        { x: -3, z: -70 }, { x: 3, z: -70 },
-        { x: -3, z: -100 }, { x: 3, z: -100 },
-    ];
+    (layout.pillars || []).forEach(pos => {
+        createPillar(pos.x, pos.z, wallHeight, wallMaterial);
+    });
 
-    pillarPositions.forEach(pos => {
-        createPillar(pos.x, pos.z, wallMaterial);
+    // Lights: explicit positions, or the centers of the largest rooms
+    getLightPositions(layout).forEach(pos => {
+        createMineLight(pos.x, pos.z, wallHeight);
     });
 
-    // Equipment rooms
-    createEquipmentRoom(-40, -30, wallMaterial, floorMaterial);
-    createEquipmentRoom(40, -60, wallMaterial, floorMaterial);
-    createEquipmentRoom(-40, -90, wallMaterial, floorMaterial);
+    // Equipment (generator and control panel)
+    (layout.equipment || []).forEach(pos => {
+        createEquipment(pos.x, pos.z);
+    });
+
+    // Rails on floor
+    (layout.rails || []).forEach(rail => {
+        createRails(rail);
+    });
+
+    // Exits and refuges
+    (layout.exits || []).forEach(exit => {
+        createExitMarker(exit, wallHeight);
+    });
 
     // Random rock formations
-    createRockFormations();
+    createRockFormations(layout, bounds);
 
-    // Rails on floor
-    createRails();
+    createDustParticles(bounds, wallHeight);
+
+    navGraph = MineNavigation.createNavGraph(layout);
+    invalidateExitRoute();
 }
 
-function createTunnel(x, y, z, width, height, depth, wallMat, floorMat, ceilingMat) {
-    // Floor
-    const floorGeom = new THREE.PlaneGeometry(width, depth);
-    const floor = new THREE.Mesh(floorGeom, floorMat);
-    floor.rotation.x = -Math.PI / 2;
-    floor.position.set(x, y, z);
-    floor.receiveShadow = true;
-    scene.add(floor);
+// Lists the server's layouts; picking one assigns it to the room, so every
+// display in the room switches (before a room exists it reloads with ?layout=<name>)
+function setupLayoutSelect() {
+    const select = document.getElementById('layout-select');
+    const params = new URLSearchParams(window.location.search);
 
-    // Ceiling
-    const ceiling = new THREE.Mesh(floorGeom, ceilingMat);
-    ceiling.rotation.x = Math.PI / 2;
-    ceiling.position.set(x, y + height, z);
-    scene.add(ceiling);
-
-    // Left wall
-    const wallGeom = new THREE.PlaneGeometry(depth, height);
-    const leftWall = new THREE.Mesh(wallGeom, wallMat);
-    leftWall.rotation.y = Math.PI / 2;
-    leftWall.position.set(x - width / 2, y + height / 2, z);
-    leftWall.receiveShadow = true;
-    scene.add(leftWall);
-    mineWalls.push({ mesh: leftWall, normal: new THREE.Vector3(1, 0, 0), position: leftWall.position.clone() });
-
-    // Right wall
-    const rightWall = new THREE.Mesh(wallGeom, wallMat);
-    rightWall.rotation.y = -Math.PI / 2;
-    rightWall.position.set(x + width / 2, y + height / 2, z);
-    rightWall.receiveShadow = true;
-    scene.add(rightWall);
-    mineWalls.push({ mesh: rightWall, normal: new THREE.Vector3(-1, 0, 0), position: rightWall.position.clone() });
-}
-
-function createPillar(x, z, material) {
-    const pillarGeom = new THREE.CylinderGeometry(0.5, 0.6, 4, 8);
+    // Spectators always show the room's layout
+    if (isSpectator) {
+        select.closest('.connection-item').classList.add('hidden');
+        return;
+    }
+
+    fetch('/api/layouts')
+        .then(res => res.json())
+        .then(data => {
+            data.layouts.forEach(layout => {
+                const option = document.createElement('option');
+                option.value = layout.name;
+                option.textContent = layout.uploaded ? `${layout.title} (uploaded)` : layout.title;
+                select.appendChild(option);
+            });
+            if (params.has('layoutUrl')) {
+                const option = document.createElement('option');
+                option.textContent = 'Custom (URL)';
+                option.value = '';
+                select.appendChild(option);
+                select.value = '';
+            } else {
+                select.value = mineLayoutName;
+            }
+        })
+        .catch(err => console.warn('Could not list layouts:', err));
+
+    select.addEventListener('change', () => {
+        if (!select.value) return;
+
+        if (!roomId) {
+            params.delete('layoutUrl');
+            params.set('layout', select.value);
+            window.location.search = params.toString();
+            return;
+        }
+
+        // The server answers with layout-changed, which rebuilds the mine
+        assignRoomLayout(select.value).catch(err => {
+            console.error('Could not change layout:', err);
+            showWarning('COULD NOT CHANGE LAYOUT');
+            select.value = mineLayoutName || '';
+        });
+    });
+}
+
+// Make a stored layout the room's layout
+function assignRoomLayout(name) {
+    return fetch(`/api/rooms/${roomId}/layout`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', 'X-Session-Key': sessionKey },
+        body: JSON.stringify({ name })
+    }).then(res => {
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    });
+}
+
+// Follow the layout assigned to the room we joined, if it differs from ours
+function applyRoomLayout(name) {
+    if (!name || name === mineLayoutName) return;
+
+    fetchLayout(`/api/layouts/${encodeURIComponent(name)}`)
+        .then(layout => changeLayout(name, layout))
+        .catch(err => console.error(`Could not load room layout ${name}:`, err));
+}
+
+// Rebuild the mine around the current annotations (no page reload)
+function changeLayout(name, layout) {
+    mineLayoutName = name;
+    buildMine(layout);
+    resetMinimapView();
+
+    // Don't leave the camera stranded in solid rock
+    if (!isInsideLayout(camera.position)) {
+        const spawn = getSpawnPoint(layout);
+        camera.position.set(spawn.x, CONFIG.camera.height, spawn.z);
+    }
+    const free = resolveCollisions(camera.position.x, camera.position.z);
+    camera.position.x = free.x;
+    camera.position.z = free.z;
+
+    const select = document.getElementById('layout-select');
+    if (select.querySelector(`option[value="${name}"]`)) {
+        select.value = name;
+    } else {
+        // Freshly uploaded; list it
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = `${layout.name || name} (uploaded)`;
+        select.appendChild(option);
+        select.value = name;
+    }
+
+    const outside = flagAnnotationsOutsideLayout();
+    updateAnnotationList();
+    showWarning(outside > 0
+        ? `LAYOUT CHANGED - ${outside} ANNOTATION${outside === 1 ? '' : 'S'} OUTSIDE WALLS`
+        : 'MINE LAYOUT CHANGED');
+    console.log(`Switched to layout ${name}`);
+}
+
+// Inside the mine means inside one of the layout's rooms, or within its bounds when it has none
+function isInsideLayout(point, layout = mineLayout) {
+    const margin = 1;
+    if (layout.rooms && layout.rooms.length > 0) {
+        return layout.rooms.some(room =>
+            Math.abs(point.x - room.center.x) <= room.width / 2 + margin &&
+            Math.abs(point.z - room.center.z) <= room.depth / 2 + margin
+        );
+    }
+
+    const bounds = getLayoutBounds(layout);
+    return point.x >= bounds.minX - margin && point.x <= bounds.maxX + margin &&
+        point.z >= bounds.minZ - margin && point.z <= bounds.maxZ + margin;
+}
+
+// The points an annotation is anchored at (a restricted zone by its center)
+function annotationAnchors(annotation) {
+    switch (annotation.type) {
+        case 'arrow':
+            return arrowPoints(annotation);
+        case 'restricted': {
+            const n = annotation.vertices.length;
+            return [{
+                x: annotation.vertices.reduce((sum, v) => sum + v.x, 0) / n,
+                z: annotation.vertices.reduce((sum, v) => sum + v.z, 0) / n
+            }];
+        }
+        default:
+            return [annotation.position];
+    }
+}
+
+// Mark annotations that no longer fall inside the mine; returns how many do
+function flagAnnotationsOutsideLayout() {
+    let outside = 0;
+    annotations.forEach(ann => {
+        ann.outsideLayout = !annotationAnchors(ann).every(point => isInsideLayout(point));
+        if (ann.outsideLayout) outside++;
+    });
+    return outside;
+}
+
+// Remove the current mine and free its GPU resources
+function disposeMine() {
+    mineGroup.traverse(obj => {
+        if (obj.geometry) obj.geometry.dispose();
+        if (obj.material) {
+            if (obj.material.map) obj.material.map.dispose();
+            obj.material.dispose();
+        }
+    });
+    scene.remove(mineGroup);
+    mineGroup = null;
+    mineWalls = [];
+    minePillars = [];
+    placementSurfaces = [];
+    flickerLights = [];
+    dustParticles = null;
+}
+
+// Where the camera starts: the layout's spawn point, its largest room, or the middle of the mine
+function getSpawnPoint(layout) {
+    if (layout.spawn) return layout.spawn;
+    if (layout.rooms && layout.rooms.length > 0) {
+        return layout.rooms.reduce((a, b) => (b.width * b.depth > a.width * a.depth ? b : a)).center;
+    }
+
+    const bounds = getLayoutBounds(layout);
+    return { x: (bounds.minX + bounds.maxX) / 2, z: (bounds.minZ + bounds.maxZ) / 2 };
+}
+
+function getLightPositions(layout) {
+    if (layout.lights) return layout.lights;
+
+    // Shadow-casting point lights are expensive, so cap the derived ones
+    return (layout.rooms || [])
+        .slice()
+        .sort((a, b) => b.width * b.depth - a.width * a.depth)
+        .slice(0, 9)
+        .map(room => room.center);
+}
+
+function createWallSegment(wall, height, material) {
+    const dx = wall.end.x - wall.start.x;
+    const dz = wall.end.z - wall.start.z;
+    const length = Math.sqrt(dx * dx + dz * dz);
+    const angle = Math.atan2(dx, dz);
+
+    const wallMesh = new THREE.Mesh(new THREE.BoxGeometry(0.3, height, length), material);
+    wallMesh.position.set((wall.start.x + wall.end.x) / 2, height / 2, (wall.start.z + wall.end.z) / 2);
+    wallMesh.rotation.y = angle;
+    wallMesh.castShadow = true;
+    wallMesh.receiveShadow = true;
+    wallMesh.userData.surface = 'wall';
+    mineGroup.add(wallMesh);
+    placementSurfaces.push(wallMesh);
+
+    mineWalls.push({ mesh: wallMesh, start: wall.start, end: wall.end });
+}
+
+function createPillar(x, z, height, material) {
+    const pillarGeom = new THREE.CylinderGeometry(0.5, 0.6, height, 8);
     const pillar = new THREE.Mesh(pillarGeom, material);
-    pillar.position.set(x, 2, z);
+    pillar.position.set(x, height / 2, z);
     pillar.castShadow = true;
     pillar.receiveShadow = true;
-    scene.add(pillar);
+    pillar.userData.surface = 'pillar';
+    mineGroup.add(pillar);
+    placementSurfaces.push(pillar);
+
+    minePillars.push({ x, z, radius: 0.6 });
 }
 
-function createEquipmentRoom(x, z, wallMat, floorMat) {
-    // Room floor
-    const roomFloor = new THREE.Mesh(
-        new THREE.PlaneGeometry(15, 15),
-        floorMat
-    );
-    roomFloor.rotation.x = -Math.PI / 2;
-    roomFloor.position.set(x, 0, z);
-    scene.add(roomFloor);
+// Flickering ceiling light with its fixture
+function createMineLight(x, z, wallHeight) {
+    const light = new THREE.PointLight(CONFIG.lighting.point, 1, 30);
+    light.position.set(x, wallHeight - 1, z);
+    light.castShadow = true;
+    light.shadow.mapSize.width = 512;
+    light.shadow.mapSize.height = 512;
+    mineGroup.add(light);
+
+    // Light fixture mesh
+    const fixtureGeom = new THREE.CylinderGeometry(0.1, 0.2, 0.3, 8);
+    const fixtureMat = new THREE.MeshBasicMaterial({ color: 0xffaa44 });
+    const fixture = new THREE.Mesh(fixtureGeom, fixtureMat);
+    fixture.position.copy(light.position);
+    fixture.position.y += 0.3;
+    mineGroup.add(fixture);
+
+    flickerLights.push({ light, baseIntensity: 1 });
+}
 
+function createEquipment(x, z) {
     // Equipment (simple boxes to represent machinery)
     const equipmentMat = new THREE.MeshStandardMaterial({ color: 0x444444, metalness: 0.8, roughness: 0.3 });
 
@@ -332,7 +603,7 @@ function createEquipmentRoom(x, z, wallMat, floorMat) {
     );
     generator.position.set(x - 3, 1, z);
     generator.castShadow = true;
-    scene.add(generator);
+    mineGroup.add(generator);
 
     // Control panel
     const panel = new THREE.Mesh(
@@ -340,57 +611,94 @@ function createEquipmentRoom(x, z, wallMat, floorMat) {
         new THREE.MeshStandardMaterial({ color: 0x333333 })
     );
     panel.position.set(x + 4, 0.75, z);
-    scene.add(panel);
+    mineGroup.add(panel);
 
     // Blinking light on panel
     const indicatorLight = new THREE.PointLight(0x00ff00, 0.5, 3);
     indicatorLight.position.set(x + 4, 1.5, z);
-    scene.add(indicatorLight);
+    mineGroup.add(indicatorLight);
     flickerLights.push({ light: indicatorLight, baseIntensity: 0.5, isIndicator: true });
 }
 
-function createRockFormations() {
+// Exit or refuge: a glowing ring on the floor under a sign
+function createExitMarker(exit, wallHeight) {
+    const isRefuge = exit.kind === 'refuge';
+    const color = isRefuge ? 0x44aaff : 0x00ff88;
+
+    const ringGeom = new THREE.RingGeometry(0.8, 1.0, 32);
+    const ringMat = new THREE.MeshBasicMaterial({ color, side: THREE.DoubleSide, transparent: true, opacity: 0.8 });
+    const ring = new THREE.Mesh(ringGeom, ringMat);
+    ring.rotation.x = -Math.PI / 2;
+    ring.position.set(exit.x, 0.03, exit.z);
+    mineGroup.add(ring);
+
+    const title = isRefuge ? 'REFUGE' : 'EXIT';
+    const sign = createTextSprite(exit.label ? `${title}\n${exit.label}` : title, isRefuge ? '#44aaff' : '#00ff88');
+    sign.position.set(exit.x, Math.min(2.8, wallHeight - 0.6), exit.z);
+    mineGroup.add(sign);
+}
+
+// Scatter rocks through the rooms (or the whole layout when it has none)
+function createRockFormations(layout, bounds) {
     const rockMat = new THREE.MeshStandardMaterial({ color: 0x3a3a3a, roughness: 1 });
+    const areas = (layout.rooms && layout.rooms.length > 0)
+        ? layout.rooms.map(room => ({
+            minX: room.center.x - room.width * 0.4,
+            maxX: room.center.x + room.width * 0.4,
+            minZ: room.center.z - room.depth * 0.4,
+            maxZ: room.center.z + room.depth * 0.4
+        }))
+        : [bounds];
 
     for (let i = 0; i < 20; i++) {
+        const area = areas[Math.floor(Math.random() * areas.length)];
         const size = 0.3 + Math.random() * 0.7;
         const rock = new THREE.Mesh(
             new THREE.DodecahedronGeometry(size, 0),
             rockMat
         );
         rock.position.set(
-            (Math.random() - 0.5) * 6,
+            area.minX + Math.random() * (area.maxX - area.minX),
             size * 0.5,
-            -Math.random() * 150
+            area.minZ + Math.random() * (area.maxZ - area.minZ)
         );
         rock.rotation.set(Math.random() * Math.PI, Math.random() * Math.PI, 0);
         rock.castShadow = true;
-        scene.add(rock);
+        mineGroup.add(rock);
     }
 }
 
-function createRails() {
+// Pair of rails 1 m apart along a track, with cross ties every 2 m
+function createRails(rail) {
     const railMat = new THREE.MeshStandardMaterial({ color: 0x555555, metalness: 0.9, roughness: 0.3 });
-
-    // Left rail
-    const railGeom = new THREE.BoxGeometry(0.1, 0.1, 180);
-    const leftRail = new THREE.Mesh(railGeom, railMat);
-    leftRail.position.set(-1.5, 0.05, -90);
-    scene.add(leftRail);
-
-    // Right rail
-    const rightRail = new THREE.Mesh(railGeom, railMat);
-    rightRail.position.set(-0.5, 0.05, -90);
-    scene.add(rightRail);
-
-    // Cross ties
-    for (let z = 0; z > -180; z -= 2) {
-        const tie = new THREE.Mesh(
-            new THREE.BoxGeometry(2, 0.05, 0.2),
-            new THREE.MeshStandardMaterial({ color: 0x4a3728 })
+    const tieMat = new THREE.MeshStandardMaterial({ color: 0x4a3728 });
+
+    const dx = rail.end.x - rail.start.x;
+    const dz = rail.end.z - rail.start.z;
+    const length = Math.sqrt(dx * dx + dz * dz);
+    const angle = Math.atan2(dx, dz);
+    // Unit vector across the track
+    const acrossX = dz / length;
+    const acrossZ = -dx / length;
+
+    const railGeom = new THREE.BoxGeometry(0.1, 0.1, length);
+    [-0.5, 0.5].forEach(offset => {
+        const railMesh = new THREE.Mesh(railGeom, railMat);
+        railMesh.position.set(
+            (rail.start.x + rail.end.x) / 2 + acrossX * offset,
+            0.05,
+            (rail.start.z + rail.end.z) / 2 + acrossZ * offset
         );
-        tie.position.set(-1, 0.02, z);
-        scene.add(tie);
+        railMesh.rotation.y = angle;
+        mineGroup.add(railMesh);
+    });
+
+    const tieGeom = new THREE.BoxGeometry(2, 0.05, 0.2);
+    for (let d = 0; d < length; d += 2) {
+        const tie = new THREE.Mesh(tieGeom, tieMat);
+        tie.position.set(rail.start.x + dx * d / length, 0.02, rail.start.z + dz * d / length);
+        tie.rotation.y = angle;
+        mineGroup.add(tie);
     }
 }
 
@@ -470,15 +778,17 @@ function createFloorTexture() {
 // ============================================
 // DUST PARTICLES
 // ============================================
-function createDustParticles() {
-    const particleCount = 500;
+// Dust hangs over the whole layout at roughly the density of the original tunnel
+function createDustParticles(bounds, wallHeight) {
+    const area = (bounds.maxX - bounds.minX) * (bounds.maxZ - bounds.minZ);
+    const particleCount = Math.min(5000, Math.max(500, Math.round(area * 0.14)));
     const geometry = new THREE.BufferGeometry();
     const positions = new Float32Array(particleCount * 3);
 
     for (let i = 0; i < particleCount * 3; i += 3) {
-        positions[i] = (Math.random() - 0.5) * 20;
-        positions[i + 1] = Math.random() * 4;
-        positions[i + 2] = Math.random() * -180;
+        positions[i] = bounds.minX + Math.random() * (bounds.maxX - bounds.minX);
+        positions[i + 1] = Math.random() * wallHeight;
+        positions[i + 2] = bounds.minZ + Math.random() * (bounds.maxZ - bounds.minZ);
     }
 
     geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
@@ -490,8 +800,9 @@ function createDustParticles() {
         opacity: 0.6
     });
 
+    // Part of mineGroup, so disposeMine() frees it with the rest of the layout
     dustParticles = new THREE.Points(geometry, material);
-    scene.add(dustParticles);
+    mineGroup.add(dustParticles);
 }
 
 // ============================================
@@ -501,7 +812,20 @@ function setupControls() {
     // Pointer lock for mouse control
     const canvas = renderer.domElement;
 
-    canvas.addEventListener('click', () => {
+    canvas.addEventListener('click', (event) => {
+        // A sensor station under the cursor (or the crosshair, once locked) opens its history
+        const point = isPointerLocked
+            ? { x: 0, y: 0 }
+            : { x: (event.clientX / window.innerWidth) * 2 - 1, y: -(event.clientY / window.innerHeight) * 2 + 1 };
+        const station = pickSensorStation(point);
+        if (station) {
+            if (isPointerLocked) document.exitPointerLock();
+            openSensorChart(station.stationId);
+            return;
+        }
+
+        // Spectators follow the primary display's camera
+        if (isSpectator) return;
         canvas.requestPointerLock();
     });
 
@@ -549,6 +873,12 @@ function setupControls() {
             case 'KeyF':
                 toggleFlashlight();
                 break;
+            case 'KeyG':
+                toggleExitGuide();
+                break;
+            case 'KeyE':
+                toggleEvacuationPlan();
+                break;
         }
     });
 
@@ -588,83 +918,265 @@ function setupControls() {
 // ============================================
 // MINIMAP
 // ============================================
+// Minimap view: world point at the canvas center and zoom over the fit-to-layout scale
+const MINIMAP_MARGIN = 5; // meters around the layout bounds
+const MINIMAP_ZOOM = { min: 1, max: 12, step: 1.2 };
+let minimapView = { centerX: 0, centerZ: 0, zoom: 1 };
+
 function setupMinimap() {
     minimapCanvas = document.getElementById('minimap');
     minimapCtx = minimapCanvas.getContext('2d');
+    resetMinimapView();
+
+    // Wheel zooms around the cursor, so the point under it stays put
+    minimapCanvas.addEventListener('wheel', (event) => {
+        event.preventDefault();
+        const point = minimapEventPoint(event);
+        const before = minimapToWorld(point.x, point.y);
+
+        const factor = event.deltaY < 0 ? MINIMAP_ZOOM.step : 1 / MINIMAP_ZOOM.step;
+        minimapView.zoom = Math.max(MINIMAP_ZOOM.min, Math.min(MINIMAP_ZOOM.max, minimapView.zoom * factor));
+
+        const after = minimapToWorld(point.x, point.y);
+        minimapView.centerX += before.x - after.x;
+        minimapView.centerZ += before.z - after.z;
+    }, { passive: false });
+
+    // Drag pans
+    let dragStart = null;
+    minimapCanvas.addEventListener('mousedown', (event) => {
+        dragStart = { x: event.clientX, y: event.clientY, centerX: minimapView.centerX, centerZ: minimapView.centerZ };
+        minimapCanvas.classList.add('dragging');
+    });
+    window.addEventListener('mousemove', (event) => {
+        if (!dragStart) return;
+        const scale = getMinimapScale() * minimapCssRatio();
+        minimapView.centerX = dragStart.centerX - (event.clientX - dragStart.x) / scale;
+        minimapView.centerZ = dragStart.centerZ - (event.clientY - dragStart.y) / scale;
+    });
+    window.addEventListener('mouseup', () => {
+        dragStart = null;
+        minimapCanvas.classList.remove('dragging');
+    });
+
+    // Double-click shows the whole mine again
+    minimapCanvas.addEventListener('dblclick', resetMinimapView);
+}
+
+// Fit the whole layout
+function resetMinimapView() {
+    const bounds = getLayoutBounds(mineLayout);
+    minimapView = {
+        centerX: (bounds.minX + bounds.maxX) / 2,
+        centerZ: (bounds.minZ + bounds.maxZ) / 2,
+        zoom: 1
+    };
+}
+
+// Pixels per meter; the same for walls, annotations and the player
+function getMinimapScale() {
+    const bounds = getLayoutBounds(mineLayout);
+    const fitScale = Math.min(
+        minimapCanvas.width / (bounds.maxX - bounds.minX + MINIMAP_MARGIN * 2),
+        minimapCanvas.height / (bounds.maxZ - bounds.minZ + MINIMAP_MARGIN * 2)
+    );
+    return fitScale * minimapView.zoom;
+}
+
+// Canvas pixels per CSS pixel (the canvas may be scaled by the page)
+function minimapCssRatio() {
+    return minimapCanvas.getBoundingClientRect().width / minimapCanvas.width;
+}
+
+function minimapEventPoint(event) {
+    const rect = minimapCanvas.getBoundingClientRect();
+    const ratio = minimapCssRatio();
+    return { x: (event.clientX - rect.left) / ratio, y: (event.clientY - rect.top) / ratio };
+}
+
+// North (-z) is up
+function worldToMinimap(x, z) {
+    const scale = getMinimapScale();
+    return {
+        x: minimapCanvas.width / 2 + (x - minimapView.centerX) * scale,
+        y: minimapCanvas.height / 2 + (z - minimapView.centerZ) * scale
+    };
+}
+
+function minimapToWorld(mapX, mapY) {
+    const scale = getMinimapScale();
+    return {
+        x: minimapView.centerX + (mapX - minimapCanvas.width / 2) / scale,
+        z: minimapView.centerZ + (mapY - minimapCanvas.height / 2) / scale
+    };
 }
 
 function updateMinimap() {
     const ctx = minimapCtx;
     const width = minimapCanvas.width;
     const height = minimapCanvas.height;
-    const scale = 1.2;
+    const scale = getMinimapScale();
 
     // Clear
     ctx.fillStyle = '#0a0a0a';
     ctx.fillRect(0, 0, width, height);
 
-    // Draw mine layout
-    ctx.strokeStyle = '#333';
-    ctx.lineWidth = 2;
+    // Rooms and tunnels as floor areas
+    ctx.fillStyle = '#1c1c1c';
+    (mineLayout.rooms || []).forEach(room => {
+        const corner = worldToMinimap(room.center.x - room.width / 2, room.center.z - room.depth / 2);
+        ctx.fillRect(corner.x, corner.y, room.width * scale, room.depth * scale);
+    });
 
-    // Main corridor
-    ctx.strokeRect(width / 2 - 5, 10, 10, height - 20);
+    // Walls
+    ctx.strokeStyle = '#555';
+    ctx.lineWidth = Math.max(1, 0.3 * scale);
+    ctx.beginPath();
+    mineLayout.walls.forEach(wall => {
+        const start = worldToMinimap(wall.start.x, wall.start.z);
+        const end = worldToMinimap(wall.end.x, wall.end.z);
+        ctx.moveTo(start.x, start.y);
+        ctx.lineTo(end.x, end.y);
+    });
+    ctx.stroke();
 
-    // Side tunnels
-    ctx.strokeRect(width / 2 - 60, 50, 120, 8);
-    ctx.strokeRect(width / 2 - 60, 100, 120, 8);
-    ctx.strokeRect(width / 2 - 60, 150, 120, 8);
+    // Pillars
+    ctx.fillStyle = '#555';
+    (mineLayout.pillars || []).forEach(pillar => {
+        const p = worldToMinimap(pillar.x, pillar.z);
+        ctx.beginPath();
+        ctx.arc(p.x, p.y, Math.max(1.5, 0.5 * scale), 0, Math.PI * 2);
+        ctx.fill();
+    });
 
-    // Equipment rooms
-    ctx.fillStyle = '#2a2a2a';
-    ctx.fillRect(width / 2 - 70, 45, 15, 15);
-    ctx.fillRect(width / 2 + 55, 95, 15, 15);
-    ctx.fillRect(width / 2 - 70, 145, 15, 15);
+    // Exits and refuges
+    (mineLayout.exits || []).forEach(exit => {
+        const p = worldToMinimap(exit.x, exit.z);
+        ctx.fillStyle = exit.kind === 'refuge' ? '#44aaff' : '#00ff88';
+        ctx.fillRect(p.x - 4, p.y - 4, 8, 8);
+    });
 
-    // Draw annotations
-    annotations.forEach(ann => {
-        const mapX = width / 2 + (ann.position?.x || ann.start?.x || 0) * scale;
-        const mapY = 10 - (ann.position?.z || ann.start?.z || 0) * scale;
+    // Route to the nearest exit
+    if (exitGuideEnabled && exitRoute) {
+        ctx.strokeStyle = 'rgba(0, 255, 136, 0.8)';
+        ctx.lineWidth = 2;
+        ctx.setLineDash([4, 3]);
+        ctx.beginPath();
+        exitRoute.points.forEach((point, i) => {
+            const p = worldToMinimap(point.x, point.z);
+            if (i === 0) ctx.moveTo(p.x, p.y);
+            else ctx.lineTo(p.x, p.y);
+        });
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
 
+    // Evacuation plan: route to follow and its fallback
+    const drawRoute = (route, style, lineWidth, dash) => {
+        ctx.strokeStyle = style;
+        ctx.lineWidth = lineWidth;
+        ctx.setLineDash(dash);
         ctx.beginPath();
+        route.points.forEach((point, i) => {
+            const p = worldToMinimap(point.x, point.z);
+            if (i === 0) ctx.moveTo(p.x, p.y);
+            else ctx.lineTo(p.x, p.y);
+        });
+        ctx.stroke();
+        ctx.setLineDash([]);
+    };
+    if (evacuationRoutesShown.secondary) drawRoute(evacuationRoutesShown.secondary.route, '#ffdd00', 1.5, [3, 3]);
+    if (evacuationRoutesShown.primary) drawRoute(evacuationRoutesShown.primary.route, '#ff8800', 3, []);
+
+    // Draw annotations
+    annotations.forEach(ann => {
         switch (ann.type) {
-            case 'danger':
+            case 'danger': {
+                const p = worldToMinimap(ann.position.x, ann.position.z);
+                ctx.fillStyle = 'rgba(255, 68, 68, 0.35)';
+                ctx.beginPath();
+                ctx.arc(p.x, p.y, Math.max(4, (ann.radius || 5) * scale), 0, Math.PI * 2);
+                ctx.fill();
                 ctx.fillStyle = '#ff4444';
-                ctx.arc(mapX, mapY, 5, 0, Math.PI * 2);
+                ctx.beginPath();
+                ctx.arc(p.x, p.y, 3, 0, Math.PI * 2);
                 ctx.fill();
                 break;
-            case 'arrow':
+            }
+            case 'arrow': {
+                const points = arrowPoints(ann).map(p => worldToMinimap(p.x, p.z));
+                const start = points[points.length - 2];
+                const end = points[points.length - 1];
+                const angle = Math.atan2(end.y - start.y, end.x - start.x);
+                ctx.strokeStyle = '#00ffff';
                 ctx.fillStyle = '#00ffff';
-                ctx.arc(mapX, mapY, 4, 0, Math.PI * 2);
+                ctx.lineWidth = 2;
+                ctx.beginPath();
+                points.forEach((p, i) => i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y));
+                ctx.stroke();
+                ctx.beginPath();
+                ctx.moveTo(end.x, end.y);
+                ctx.lineTo(end.x - 6 * Math.cos(angle - 0.5), end.y - 6 * Math.sin(angle - 0.5));
+                ctx.lineTo(end.x - 6 * Math.cos(angle + 0.5), end.y - 6 * Math.sin(angle + 0.5));
+                ctx.closePath();
                 ctx.fill();
                 break;
-            case 'incident':
+            }
+            case 'incident': {
+                const p = worldToMinimap(ann.position.x, ann.position.z);
                 ctx.fillStyle = '#ff8800';
-                ctx.arc(mapX, mapY, 4, 0, Math.PI * 2);
+                ctx.beginPath();
+                ctx.arc(p.x, p.y, 4, 0, Math.PI * 2);
                 ctx.fill();
                 break;
+            }
             case 'restricted':
-                ctx.fillStyle = 'rgba(255, 0, 255, 0.5)';
                 if (ann.vertices && ann.vertices.length > 2) {
+                    ctx.fillStyle = 'rgba(255, 0, 255, 0.5)';
                     ctx.beginPath();
-                    ctx.moveTo(width / 2 + ann.vertices[0].x * scale, 10 - ann.vertices[0].z * scale);
-                    ann.vertices.forEach(v => {
-                        ctx.lineTo(width / 2 + v.x * scale, 10 - v.z * scale);
+                    ann.vertices.forEach((v, i) => {
+                        const p = worldToMinimap(v.x, v.z);
+                        if (i === 0) ctx.moveTo(p.x, p.y);
+                        else ctx.lineTo(p.x, p.y);
                     });
                     ctx.closePath();
                     ctx.fill();
                 }
                 break;
+            case 'sensor': {
+                const p = worldToMinimap(ann.position.x, ann.position.z);
+                ctx.fillStyle = '#38bdf8';
+                ctx.beginPath();
+                ctx.moveTo(p.x, p.y - 4);
+                ctx.lineTo(p.x + 4, p.y);
+                ctx.lineTo(p.x, p.y + 4);
+                ctx.lineTo(p.x - 4, p.y);
+                ctx.closePath();
+                ctx.fill();
+                break;
+            }
         }
     });
 
+    // Tracked workers, faded like their avatars
+    ctx.font = '9px sans-serif';
+    workers.forEach(worker => {
+        const p = worldToMinimap(worker.position.x, worker.position.z);
+        ctx.globalAlpha = worker.opacity;
+        ctx.fillStyle = worker.hazard ? '#ff4444' : '#facc15';
+        ctx.beginPath();
+        ctx.arc(p.x, p.y, 3.5, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillText(worker.name, p.x + 5, p.y + 3);
+    });
+    ctx.globalAlpha = 1;
+
     // Draw player position
-    const playerMapX = width / 2 + camera.position.x * scale;
-    const playerMapY = 10 - camera.position.z * scale;
+    const player = worldToMinimap(camera.position.x, camera.position.z);
 
     // Player direction indicator
     ctx.save();
-    ctx.translate(playerMapX, playerMapY);
+    ctx.translate(player.x, player.y);
     ctx.rotate(-euler.y);
     ctx.fillStyle = '#00ff88';
     ctx.beginPath();
@@ -675,6 +1187,17 @@ function updateMinimap() {
     ctx.fill();
     ctx.restore();
 
+    // Scale bar (10 m)
+    ctx.strokeStyle = '#888';
+    ctx.fillStyle = '#888';
+    ctx.lineWidth = 1;
+    ctx.font = '9px sans-serif';
+    ctx.beginPath();
+    ctx.moveTo(8, height - 8);
+    ctx.lineTo(8 + 10 * scale, height - 8);
+    ctx.stroke();
+    ctx.fillText('10 m', 8, height - 12);
+
     // Border
     ctx.strokeStyle = 'rgba(0, 255, 255, 0.3)';
     ctx.lineWidth = 1;
@@ -690,30 +1213,64 @@ function connectToServer() {
     socket.on('connect', () => {
         console.log('Connected to server');
 
-        // Create a room
-        socket.emit('create-room', (response) => {
-            if (response.success) {
-                roomId = response.roomCode;
-                document.getElementById('room-code').textContent = roomId;
-                console.log('Room created:', roomId);
-            }
-        });
+        if (isSpectator) {
+            joinAsSpectator();
+            return;
+        }
+
+        if (reclaimRequest) {
+            reclaimRoom(reclaimRequest);
+            reclaimRequest = null;
+            return;
+        }
+
+        // Reattach to our room if we already had one (Wi-Fi blip, reload or server restart)
+        const session = loadDisplaySession();
+        if (session) {
+            rejoinRoom(session);
+        } else {
+            createRoom();
+        }
     });
 
     socket.on('disconnect', () => {
         console.log('Disconnected from server');
-        updateControllerStatus(false);
+        updateControllerList([]);
     });
 
-    socket.on('controller-connected', () => {
-        console.log('Controller connected');
-        updateControllerStatus(true);
+    socket.on('controller-connected', (data) => {
+        console.log('Controller connected:', data.name);
         playSound('alert');
     });
 
-    socket.on('controller-disconnected', () => {
-        console.log('Controller disconnected');
-        updateControllerStatus(false);
+    socket.on('controller-disconnected', (data) => {
+        console.log('Controller disconnected:', data.name);
+    });
+
+    socket.on('controllers-updated', (controllers) => {
+        updateControllerList(controllers);
+    });
+
+    // A controller used the pairing token; show the replacement
+    socket.on('pairing-token', (data) => {
+        showPairingToken(data.token);
+    });
+
+    socket.on('pairing-error', (data) => {
+        console.warn(`Server rejected ${data.event}:`, data.error);
+    });
+
+    socket.on('validation-error', (data) => {
+        console.warn(`Server rejected ${data.event}:`, data.error);
+    });
+
+    socket.on('display-disconnected', () => {
+        showWarning('PRIMARY DISPLAY DISCONNECTED');
+    });
+
+    // Mirror the primary display's camera (spectator mode)
+    socket.on('spectator-camera-update', (data) => {
+        applySpectatorCamera(data);
     });
 
     // Handle movement from tablet (motion sensor mode)
@@ -738,6 +1295,11 @@ function connectToServer() {
         playSound('alert');
     });
 
+    socket.on('annotation-updated', (annotation) => {
+        updateAnnotation(annotation);
+        updateAnnotationList();
+    });
+
     socket.on('annotation-removed', (data) => {
         removeAnnotation(data.id);
         updateAnnotationList();
@@ -748,29 +1310,231 @@ function connectToServer() {
         updateAnnotationList();
     });
 
-    // Handle placement requests
+    // A sensor station reported
+    socket.on('sensor-updated', (reading) => {
+        setSensorReading(reading);
+    });
+
+    socket.on('worker-updated', (worker) => {
+        setWorkerPosition(worker);
+    });
+
+    socket.on('worker-removed', (data) => {
+        removeWorker(data.workerId);
+    });
+
+    // Gas readings crossed a threshold, or an alarm cleared
+    socket.on('gas-alarm', (alarm) => {
+        handleGasAlarm(alarm);
+    });
+
+    socket.on('thresholds-changed', (data) => {
+        gasThresholds = data.thresholds;
+        if (sensorChart && sensorChart.series) drawSensorChart();
+    });
+
+    // The room was switched to another mine layout
+    socket.on('layout-changed', (data) => {
+        changeLayout(data.name, data.layout);
+    });
+
+    // A controller opened its danger or incident modal: preview the marker at the crosshair
     socket.on('get-placement-position', (data) => {
-        // Return current camera forward position
-        const forward = new THREE.Vector3(0, 0, -5);
-        forward.applyQuaternion(camera.quaternion);
-        forward.add(camera.position);
+        startPlacementPreview(data.controllerId, data.type, data.radius);
+    });
 
-        socket.emit('placement-position', {
-            roomId: roomId,
-            position: { x: forward.x, y: 0, z: forward.z }
-        });
+    socket.on('placement-ended', (data) => {
+        endPlacementPreview(data.controllerId);
+    });
+
+    // The room's hazards changed: the server re-planned our evacuation routes
+    socket.on('evacuation-plan', (data) => {
+        if (!evacuationEnabled) return;
+        setEvacuationPlan(data.plan);
+        showWarning('EVACUATION ROUTES UPDATED');
+    });
+}
+
+function loadDisplaySession() {
+    try {
+        return JSON.parse(sessionStorage.getItem(SESSION_STORAGE_KEY));
+    } catch (e) {
+        return null;
+    }
+}
+
+function saveDisplaySession() {
+    sessionStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify({ roomId, sessionKey }));
+}
+
+function readReclaimRequest() {
+    const params = new URLSearchParams(window.location.search);
+    if (!params.has('room') || !params.has('reclaim')) return null;
+
+    const request = { roomId: params.get('room'), token: params.get('reclaim') };
+    // The code only works once, so don't leave it in the address bar
+    params.delete('room');
+    params.delete('reclaim');
+    const query = params.toString();
+    history.replaceState(null, '', window.location.pathname + (query ? `?${query}` : ''));
+    return request;
+}
+
+// Pick up the room the server has us attached to (reconnect-room / reclaim-room)
+function enterRoom(id, key, response) {
+    roomId = id;
+    sessionKey = key;
+    saveDisplaySession();
+    document.getElementById('room-code').textContent = roomId;
+    showPairingToken(response.pairingToken);
+    restoreAnnotations(response.annotations);
+    restoreSensorReadings(response.sensorReadings);
+    restoreWorkers(response.workers);
+    gasThresholds = response.thresholds;
+    updateControllerList(response.controllers);
+    applyRoomLayout(response.layout);
+    // A new socket: the server no longer knows we follow a plan
+    if (evacuationEnabled) requestEvacuationPlan();
+}
+
+function rejoinRoom(session) {
+    socket.emit('reconnect-room', { roomId: session.roomId, deviceType: 'display', sessionKey: session.sessionKey }, (response) => {
+        if (response.success) {
+            enterRoom(session.roomId, session.sessionKey, response);
+            console.log('Rejoined room:', roomId);
+        } else {
+            // Room is gone (or no longer accepts our key); start over
+            console.warn(`Could not rejoin room ${session.roomId}:`, response.error);
+            sessionStorage.removeItem(SESSION_STORAGE_KEY);
+            restoreAnnotations([]);
+            restoreSensorReadings([]);
+            restoreWorkers([]);
+            createRoom();
+        }
+    });
+}
+
+function reclaimRoom(request) {
+    socket.emit('reclaim-room', request, (response) => {
+        if (response.success) {
+            enterRoom(request.roomId, response.sessionKey, response);
+            console.log('Reclaimed room:', roomId);
+            return;
+        }
+
+        console.warn(`Could not reclaim room ${request.roomId}:`, response.error);
+        showWarning(`COULD NOT RECLAIM ROOM ${request.roomId}`);
+        const session = loadDisplaySession();
+        if (session) {
+            rejoinRoom(session);
+        } else {
+            createRoom();
+        }
+    });
+}
+
+function createRoom() {
+    socket.emit('create-room', (response) => {
+        if (response.success) {
+            roomId = response.roomCode;
+            sessionKey = response.sessionKey;
+            gasThresholds = response.thresholds;
+            saveDisplaySession();
+            document.getElementById('room-code').textContent = roomId;
+            showPairingToken(response.pairingToken);
+            // Spectators and later displays of this room follow our layout
+            if (mineLayoutName) {
+                assignRoomLayout(mineLayoutName).catch(err => console.warn('Could not assign layout:', err));
+            }
+            if (evacuationEnabled) requestEvacuationPlan();
+            console.log('Room created:', roomId);
+        }
+    });
+}
+
+// A tablet can't reach "localhost", so ask the server for its LAN address instead
+function resolveControllerOrigin() {
+    const host = window.location.hostname;
+    if (host !== 'localhost' && host !== '127.0.0.1') return Promise.resolve();
+
+    return fetch('/api/network')
+        .then(res => res.json())
+        .then(data => {
+            if (data.addresses.length > 0) {
+                controllerOrigin = `${window.location.protocol}//${data.addresses[0]}:${data.port}`;
+            }
+        })
+        .catch(err => console.warn('Could not look up LAN address:', err));
+}
+
+// Show the one-time pairing token as text and as a QR code for the controller
+function showPairingToken(token) {
+    document.getElementById('pairing-code').textContent = `${token.slice(0, 4)}-${token.slice(4)}`;
+
+    const controllerUrl = `${controllerOrigin}/controller/?room=${roomId}&token=${token}`;
+    const qrCanvas = document.getElementById('pairing-qr');
+    QRCode.drawToCanvas(qrCanvas, controllerUrl, { scale: 3 });
+    qrCanvas.classList.remove('hidden');
+}
+
+function joinAsSpectator() {
+    socket.emit('join-spectator', { roomId: spectateRoomId }, (response) => {
+        if (response.success) {
+            roomId = spectateRoomId;
+            document.getElementById('room-code-label').textContent = 'Spectating:';
+            document.getElementById('room-code').textContent = roomId;
+            document.getElementById('pairing-item').classList.add('hidden');
+            document.getElementById('controls-help').innerHTML = '<p>Spectator view - following the primary display</p>';
+            restoreAnnotations(response.annotations);
+            restoreSensorReadings(response.sensorReadings);
+            restoreWorkers(response.workers);
+            gasThresholds = response.thresholds;
+            updateControllerList(response.controllers);
+            applyRoomLayout(response.layout);
+            console.log('Spectating room:', roomId);
+        } else {
+            showWarning(`ROOM ${spectateRoomId} NOT FOUND`);
+        }
     });
 }
 
-function updateControllerStatus(connected) {
+function applySpectatorCamera(data) {
+    if (!data.position) return;
+
+    camera.position.set(data.position.x, data.position.y, data.position.z);
+    if (data.rotation) {
+        euler.x = data.rotation.x;
+        euler.y = data.rotation.y;
+        camera.quaternion.setFromEuler(euler);
+    }
+}
+
+// Replace the local annotations with the server's saved copy
+function restoreAnnotations(savedAnnotations) {
+    clearAllAnnotations();
+    (savedAnnotations || []).forEach(ann => addAnnotation(ann));
+    updateAnnotationList();
+}
+
+function updateControllerList(controllers) {
     const statusEl = document.getElementById('controller-status');
-    if (connected) {
+    const listEl = document.getElementById('controller-list');
+    controllers = controllers || [];
+
+    if (controllers.length > 0) {
         statusEl.className = 'status connected';
-        statusEl.innerHTML = '<span class="dot"></span>Connected';
+        statusEl.innerHTML = `<span class="dot"></span>${controllers.length} connected`;
     } else {
         statusEl.className = 'status disconnected';
         statusEl.innerHTML = '<span class="dot"></span>Disconnected';
     }
+
+    listEl.innerHTML = '';
+    controllers.forEach(controller => {
+        const li = document.createElement('li');
+        li.textContent = controller.name;
+        listEl.appendChild(li);
+    });
 }
 
 // ============================================
@@ -814,7 +1578,7 @@ function applyTabletMovement(delta) {
         direction.y = 0;
         direction.normalize();
 
-        camera.position.addScaledVector(direction, moveSpeed);
+        moveCamera(direction.x * moveSpeed, direction.z * moveSpeed);
     }
 }
 
@@ -847,8 +1611,10 @@ function applyTouchMovement(delta) {
         rightDir.normalize();
 
         // Apply movement
-        camera.position.addScaledVector(forwardDir, forward * speed);
-        camera.position.addScaledVector(rightDir, right * speed);
+        moveCamera(
+            (forwardDir.x * forward + rightDir.x * right) * speed,
+            (forwardDir.z * forward + rightDir.z * right) * speed
+        );
     }
 }
 
@@ -856,8 +1622,28 @@ function applyTouchMovement(delta) {
 // ANNOTATIONS
 // ============================================
 function addAnnotation(annotation) {
+    annotation.outsideLayout = !annotationAnchors(annotation).every(point => isInsideLayout(point));
     annotations.push(annotation);
+    createAnnotationMarker(annotation);
+    updateWarningCount();
+}
 
+// Rebuild a single annotation's marker from its new data, keeping its list position
+function updateAnnotation(annotation) {
+    const index = annotations.findIndex(a => a.id === annotation.id);
+    if (index === -1) {
+        addAnnotation(annotation);
+        return;
+    }
+
+    disposeAnnotationMarker(annotations[index]);
+    annotation.outsideLayout = !annotationAnchors(annotation).every(point => isInsideLayout(point));
+    annotations[index] = annotation;
+    createAnnotationMarker(annotation);
+    updateWarningCount();
+}
+
+function createAnnotationMarker(annotation) {
     switch (annotation.type) {
         case 'danger':
             createDangerZone(annotation);
@@ -871,37 +1657,39 @@ function addAnnotation(annotation) {
         case 'restricted':
             createRestrictedZone(annotation);
             break;
+        case 'sensor':
+            createSensorStation(annotation);
+            break;
     }
+}
 
-    updateWarningCount();
+// Remove an annotation's marker and free the GPU resources of everything in it
+// (markers are rebuilt on every update, so anything left behind adds up)
+function disposeAnnotationMarker(annotation) {
+    const root = annotation.group || annotation.mesh;
+    if (!root) return;
+
+    scene.remove(root);
+    root.traverse(obj => {
+        if (obj.geometry) obj.geometry.dispose();
+        if (obj.material) {
+            if (obj.material.map) obj.material.map.dispose();
+            obj.material.dispose();
+        }
+    });
 }
 
 function removeAnnotation(id) {
     const index = annotations.findIndex(a => a.id === id);
     if (index !== -1) {
-        const annotation = annotations[index];
-        if (annotation.mesh) {
-            scene.remove(annotation.mesh);
-            if (annotation.mesh.geometry) annotation.mesh.geometry.dispose();
-            if (annotation.mesh.material) annotation.mesh.material.dispose();
-        }
-        if (annotation.group) {
-            scene.remove(annotation.group);
-        }
+        disposeAnnotationMarker(annotations[index]);
         annotations.splice(index, 1);
     }
     updateWarningCount();
 }
 
 function clearAllAnnotations() {
-    annotations.forEach(ann => {
-        if (ann.mesh) {
-            scene.remove(ann.mesh);
-        }
-        if (ann.group) {
-            scene.remove(ann.group);
-        }
-    });
+    annotations.forEach(disposeAnnotationMarker);
     annotations = [];
     updateWarningCount();
 }
@@ -944,40 +1732,57 @@ function createDangerZone(annotation) {
     annotation.mesh = sphere;
 }
 
-// Arrow
+// A plain arrow is a route with two waypoints
+function arrowPoints(annotation) {
+    return annotation.waypoints || [annotation.start, annotation.end];
+}
+
+// Arrow (a chain of segments for a recorded route)
 function createArrow(annotation) {
     const group = new THREE.Group();
 
-    const start = new THREE.Vector3(annotation.start.x, 1, annotation.start.z);
-    const end = new THREE.Vector3(annotation.end.x, 1, annotation.end.z);
-    const direction = new THREE.Vector3().subVectors(end, start);
-    const length = direction.length();
+    const points = arrowPoints(annotation).map(p => new THREE.Vector3(p.x, 1, p.z));
+    const start = points[0];
+    const end = points[points.length - 1];
 
-    // Arrow line
+    // Route line
     const lineMat = new THREE.LineBasicMaterial({ color: 0x00ffff, linewidth: 3 });
-    const lineGeom = new THREE.BufferGeometry().setFromPoints([start, end]);
+    const lineGeom = new THREE.BufferGeometry().setFromPoints(points);
     const line = new THREE.Line(lineGeom, lineMat);
     group.add(line);
 
-    // Arrow head
-    const arrowHelper = new THREE.ArrowHelper(
-        direction.clone().normalize(),
-        start,
-        length,
-        0x00ffff,
-        length * 0.2,
-        length * 0.1
-    );
-    group.add(arrowHelper);
+    // Arrow head on every segment, sized to the segment so short legs still read
+    let length = 0;
+    for (let i = 1; i < points.length; i++) {
+        const direction = new THREE.Vector3().subVectors(points[i], points[i - 1]);
+        const segmentLength = direction.length();
+        if (segmentLength < 0.01) continue;
+        length += segmentLength;
+
+        const headLength = Math.min(segmentLength * 0.2, 2);
+        const arrowHelper = new THREE.ArrowHelper(
+            direction.normalize(),
+            points[i - 1],
+            segmentLength,
+            0x00ffff,
+            headLength,
+            headLength * 0.5
+        );
+        group.add(arrowHelper);
+    }
 
     // Label at end
     const labelSprite = createTextSprite(annotation.label || 'Direction', '#00ffff');
     labelSprite.position.set(end.x, 2.5, end.z);
     group.add(labelSprite);
 
-    // Distance label
+    // Total distance label, at the start so it reads before walking the route
     const distLabel = createTextSprite(`${length.toFixed(1)}m`, '#ffffff');
-    distLabel.position.set((start.x + end.x) / 2, 1.5, (start.z + end.z) / 2);
+    if (points.length > 2) {
+        distLabel.position.set(start.x, 1.5, start.z);
+    } else {
+        distLabel.position.set((start.x + end.x) / 2, 1.5, (start.z + end.z) / 2);
+    }
     group.add(distLabel);
 
     scene.add(group);
@@ -1020,8 +1825,12 @@ function createRestrictedZone(annotation) {
 
     const group = new THREE.Group();
 
+    // Blocking zones are magenta, warn-only zones amber; inactive zones are faded
+    const inactive = annotation.active === false;
+    const color = annotation.warnOnly ? 0xffaa00 : 0xff00ff;
+
     // Create fence posts at each vertex
-    const postMat = new THREE.MeshBasicMaterial({ color: 0xff00ff });
+    const postMat = new THREE.MeshBasicMaterial({ color, transparent: inactive, opacity: inactive ? 0.3 : 1 });
     annotation.vertices.forEach((vertex, i) => {
         const postGeom = new THREE.CylinderGeometry(0.1, 0.1, 3, 8);
         const post = new THREE.Mesh(postGeom, postMat);
@@ -1031,9 +1840,9 @@ function createRestrictedZone(annotation) {
         // Laser fence to next vertex
         const nextVertex = annotation.vertices[(i + 1) % annotation.vertices.length];
         const laserMat = new THREE.LineBasicMaterial({
-            color: 0xff00ff,
+            color,
             transparent: true,
-            opacity: 0.8
+            opacity: inactive ? 0.2 : 0.8
         });
 
         for (let h = 0.5; h <= 2.5; h += 0.5) {
@@ -1052,7 +1861,10 @@ function createRestrictedZone(annotation) {
     const centerZ = annotation.vertices.reduce((sum, v) => sum + v.z, 0) / annotation.vertices.length;
 
     // Floating "RESTRICTED" label
-    const labelSprite = createTextSprite('RESTRICTED AREA', '#ff00ff');
+    let labelText = 'RESTRICTED AREA';
+    if (inactive) labelText = 'RESTRICTED AREA\n(INACTIVE)';
+    else if (annotation.warnOnly) labelText = 'RESTRICTED AREA\nWARNING ONLY';
+    const labelSprite = createTextSprite(labelText, annotation.warnOnly ? '#ffaa00' : '#ff00ff');
     labelSprite.position.set(centerX, 3, centerZ);
     group.add(labelSprite);
 
@@ -1062,6 +1874,47 @@ function createRestrictedZone(annotation) {
     annotation.centerZ = centerZ;
 }
 
+// Sensor Station: a gas monitor on a post, labeled with its latest reading
+function createSensorStation(annotation) {
+    const group = new THREE.Group();
+    const { x, z } = annotation.position;
+
+    const post = new THREE.Mesh(
+        new THREE.CylinderGeometry(0.05, 0.05, 1.4, 8),
+        new THREE.MeshStandardMaterial({ color: 0x666666 })
+    );
+    post.position.set(x, 0.7, z);
+    group.add(post);
+
+    const housing = new THREE.Mesh(
+        new THREE.BoxGeometry(0.4, 0.5, 0.25),
+        new THREE.MeshStandardMaterial({ color: 0x38bdf8, emissive: 0x0c4a6e, emissiveIntensity: 0.5 })
+    );
+    housing.position.set(x, 1.6, z);
+    group.add(housing);
+
+    scene.add(group);
+    annotation.group = group;
+    annotation.mesh = housing;
+    updateSensorLabel(annotation);
+}
+
+// Replace a station's label with one showing its latest reading
+function updateSensorLabel(station) {
+    if (!station.group) return;
+    if (station.labelSprite) {
+        station.group.remove(station.labelSprite);
+        station.labelSprite.material.map.dispose();
+        station.labelSprite.material.dispose();
+    }
+
+    const reading = sensorReadings.get(station.stationId);
+    const labelSprite = createTextSprite(`${station.label || station.stationId}\n${formatSensorReading(reading)}`, '#38bdf8');
+    labelSprite.position.set(station.position.x, 2.6, station.position.z);
+    station.group.add(labelSprite);
+    station.labelSprite = labelSprite;
+}
+
 // Text Sprite helper
 function createTextSprite(text, color) {
     const canvas = document.createElement('canvas');
@@ -1104,7 +1957,7 @@ function updateAnnotationList() {
 
     annotations.forEach(ann => {
         const li = document.createElement('li');
-        li.className = ann.type;
+        li.className = ann.outsideLayout ? `${ann.type} outside-layout` : ann.type;
 
         let icon = '';
         switch (ann.type) {
@@ -1112,51 +1965,1042 @@ function updateAnnotationList() {
             case 'arrow': icon = '➡️'; break;
             case 'incident': icon = '⚠️'; break;
             case 'restricted': icon = '🚫'; break;
+            case 'sensor': icon = '📡'; break;
         }
 
-        li.innerHTML = `<span class="icon">${icon}</span><span>${ann.label || ann.description || ann.type}</span>`;
+        // Labels come from any paired client, so never as HTML
+        const addSpan = (className, text, title) => {
+            const span = document.createElement('span');
+            if (className) span.className = className;
+            if (title) span.title = title;
+            span.textContent = text;
+            li.appendChild(span);
+        };
+        addSpan('icon', icon);
+        addSpan(null, ann.label || ann.description || ann.type);
+        if (ann.auto) addSpan('auto-tag', 'AUTO', 'Placed by a gas alarm; clears when readings recover');
+        if (ann.outsideLayout) addSpan('outside-tag', 'OUTSIDE', 'Outside the walls of the current layout');
         list.appendChild(li);
     });
 }
 
 function updateWarningCount() {
-    const count = annotations.filter(a => a.type === 'danger' || a.type === 'restricted').length;
+    const count = annotations.filter(a => a.type === 'danger' || (a.type === 'restricted' && a.active !== false)).length;
     const countEl = document.getElementById('warnings-value');
     countEl.textContent = count;
     countEl.className = count > 0 ? 'warning-count' : 'warning-count safe';
 }
 
 // ============================================
-// COLLISION DETECTION
+// SENSOR READINGS
 // ============================================
-function checkRestrictedZones() {
-    const playerPos = camera.position;
-    let inRestricted = false;
+const SENSOR_STALE_AFTER = 120000; // ms; older readings no longer count for the status panel
+const SENSOR_NEIGHBOURS = 3;       // nearest stations blended into each status value
+
+// stationId -> latest { stationId, values: { o2, ch4, co, temperature }, at } from the server
+const sensorReadings = new Map();
+
+// The room's gas alarm thresholds: { ch4: { warning, evacuate }, co, o2 }
+let gasThresholds = null;
+
+function setSensorReading(reading) {
+    sensorReadings.set(reading.stationId, reading);
+    const station = annotations.find(a => a.type === 'sensor' && a.stationId === reading.stationId);
+    if (station) updateSensorLabel(station);
+}
+
+function restoreSensorReadings(readings) {
+    sensorReadings.clear();
+    (readings || []).forEach(setSensorReading);
+}
+
+function formatSensorReading(reading) {
+    if (!reading) return 'NO DATA';
+    const { o2, ch4, co, temperature } = reading.values;
+    const parts = [];
+    if (ch4 !== undefined) parts.push(`CH4 ${ch4.toFixed(2)}%`);
+    if (o2 !== undefined) parts.push(`O2 ${o2.toFixed(1)}%`);
+    if (co !== undefined) parts.push(`CO ${Math.round(co)}ppm`);
+    if (temperature !== undefined) parts.push(`${temperature.toFixed(1)}°C`);
+    // Two values per line so the label stays readable
+    return [parts.slice(0, 2).join('  '), parts.slice(2).join('  ')].filter(Boolean).join('\n');
+}
+
+// Alarm level of a gas value: null, 'warning' or 'evacuate' (oxygen alarms when it falls)
+function gasAlarmLevel(gas, value) {
+    if (!gasThresholds || !gasThresholds[gas] || value === null) return null;
+    const { warning, evacuate } = gasThresholds[gas];
+    const breached = (threshold) => (gas === 'o2' ? value <= threshold : value >= threshold);
+    if (breached(evacuate)) return 'evacuate';
+    return breached(warning) ? 'warning' : null;
+}
+
+// A station's alarm changed: an auto danger zone is on its way from the server
+function handleGasAlarm(alarm) {
+    const where = alarm.label || alarm.stationId;
+    if (!alarm.level) {
+        showWarning(`GAS ALARM CLEARED - ${where}`, 'alert', ALARM_PRIORITY);
+        return;
+    }
+
+    const breach = alarm.breaches[0];
+    const unit = breach.gas === 'co' ? 'ppm' : '%';
+    showWarning(`${alarm.level.toUpperCase()}: ${breach.gas.toUpperCase()} ${breach.value}${unit} AT ${where}`, 'gas-alarm', ALARM_PRIORITY);
+}
 
+// Inverse-distance weighted blend of the nearest { value, distance } samples; null without any
+function blendNearest(samples) {
+    const nearest = samples.sort((a, b) => a.distance - b.distance).slice(0, SENSOR_NEIGHBOURS);
+    if (nearest.length === 0) return null;
+    if (nearest[0].distance < 0.5) return nearest[0].value;
+
+    let weighted = 0;
+    let total = 0;
+    nearest.forEach(({ value, distance }) => {
+        const weight = 1 / (distance * distance);
+        weighted += value * weight;
+        total += weight;
+    });
+    return weighted / total;
+}
+
+// A sensor value at a point, from the nearest stations with a fresh reading of it
+function interpolateSensorValue(field, x, z) {
+    const now = Date.now();
+    const samples = [];
     annotations.forEach(ann => {
-        if (ann.type === 'restricted' && ann.vertices) {
-            if (isPointInPolygon(playerPos.x, playerPos.z, ann.vertices)) {
-                inRestricted = true;
+        if (ann.type !== 'sensor') return;
+        const reading = sensorReadings.get(ann.stationId);
+        if (!reading || reading.values[field] === undefined) return;
+        if (now - Date.parse(reading.at) > SENSOR_STALE_AFTER) return;
+        samples.push({ value: reading.values[field], distance: Math.hypot(ann.position.x - x, ann.position.z - z) });
+    });
+    return blendNearest(samples);
+}
+
+// Depth below the surface, from the surveyed depths of the nearest stations
+function interpolateDepth(x, z) {
+    const samples = annotations
+        .filter(ann => ann.type === 'sensor' && ann.depth !== undefined)
+        .map(ann => ({ value: ann.depth, distance: Math.hypot(ann.position.x - x, ann.position.z - z) }));
+    return blendNearest(samples);
+}
+
+// ============================================
+// SENSOR CHARTS
+// ============================================
+const SENSOR_CHART_RANGES = { hour: 60 * 60 * 1000, shift: 8 * 60 * 60 * 1000, day: 24 * 60 * 60 * 1000 };
+const SENSOR_CHART_POINTS = 240;      // at most one bucket per ~2 px of chart
+const SENSOR_CHART_REFRESH = 15000;   // ms between reloads while the chart is open
+const SENSOR_FIELDS = {
+    ch4: { label: 'CH4', unit: '%', digits: 2 },
+    o2: { label: 'O2', unit: '%', digits: 1 },
+    co: { label: 'CO', unit: 'ppm', digits: 0 },
+    temperature: { label: 'Temperature', unit: '°C', digits: 1 }
+};
+
+// The open chart: { stationId, field, range, series, resolution, from, to }, or null
+let sensorChart = null;
+let sensorChartTimer = null;
+let sensorChartRequest = 0; // responses to older requests are dropped
+const sensorRaycaster = new THREE.Raycaster();
+
+function setupSensorChart() {
+    document.getElementById('sensor-chart-close').addEventListener('click', closeSensorChart);
+    document.querySelectorAll('#sensor-chart-fields button').forEach(button => {
+        button.addEventListener('click', () => showSensorChart({ field: button.dataset.field }));
+    });
+    document.querySelectorAll('#sensor-chart-ranges button').forEach(button => {
+        button.addEventListener('click', () => showSensorChart({ range: button.dataset.range }));
+    });
+
+    // A status panel value opens the history of the nearest station reporting it
+    document.querySelectorAll('#status-panel .status-item[data-field]').forEach(row => {
+        row.addEventListener('click', () => {
+            const station = nearestStation(row.dataset.field);
+            if (station) {
+                openSensorChart(station.stationId, row.dataset.field);
+            } else {
+                showWarning('NO SENSOR STATIONS', 'alert');
             }
+        });
+    });
+}
+
+// The nearest station with a reading of field, or the nearest station at all
+function nearestStation(field) {
+    const stations = annotations.filter(a => a.type === 'sensor');
+    const reporting = stations.filter(station => {
+        const reading = sensorReadings.get(station.stationId);
+        return reading && reading.values[field] !== undefined;
+    });
+
+    let nearest = null;
+    let nearestDistance = Infinity;
+    (reporting.length > 0 ? reporting : stations).forEach(station => {
+        const distance = Math.hypot(station.position.x - camera.position.x, station.position.z - camera.position.z);
+        if (distance < nearestDistance) {
+            nearest = station;
+            nearestDistance = distance;
+        }
+    });
+    return nearest;
+}
+
+// The sensor station at a screen point (normalized device coordinates), or null
+function pickSensorStation(point) {
+    const stations = annotations.filter(a => a.type === 'sensor' && a.group);
+    if (stations.length === 0) return null;
+
+    sensorRaycaster.setFromCamera(point, camera);
+    sensorRaycaster.far = PLACEMENT_RANGE;
+    const hit = sensorRaycaster.intersectObjects(stations.map(s => s.group), true)[0];
+    if (!hit) return null;
+
+    return stations.find(station => {
+        for (let obj = hit.object; obj; obj = obj.parent) {
+            if (obj === station.group) return true;
         }
+        return false;
+    });
+}
+
+function openSensorChart(stationId, field = 'ch4') {
+    sensorChart = { stationId, field, range: sensorChart ? sensorChart.range : 'hour', series: null };
+    document.getElementById('sensor-chart').classList.remove('hidden');
+
+    clearInterval(sensorChartTimer);
+    sensorChartTimer = setInterval(loadSensorChart, SENSOR_CHART_REFRESH);
+    showSensorChart({});
+}
+
+function closeSensorChart() {
+    sensorChart = null;
+    clearInterval(sensorChartTimer);
+    document.getElementById('sensor-chart').classList.add('hidden');
+}
+
+// Switch the open chart to another value or time range
+function showSensorChart(changes) {
+    const reload = !sensorChart.series || (changes.range && changes.range !== sensorChart.range);
+    Object.assign(sensorChart, changes);
+
+    document.querySelectorAll('#sensor-chart-fields button').forEach(button => {
+        button.classList.toggle('active', button.dataset.field === sensorChart.field);
+    });
+    document.querySelectorAll('#sensor-chart-ranges button').forEach(button => {
+        button.classList.toggle('active', button.dataset.range === sensorChart.range);
+    });
+
+    const station = annotations.find(a => a.type === 'sensor' && a.stationId === sensorChart.stationId);
+    const name = (station && station.label) || sensorChart.stationId;
+    document.getElementById('sensor-chart-title').textContent = `${name.toUpperCase()} - ${SENSOR_FIELDS[sensorChart.field].label}`;
+
+    if (reload) {
+        loadSensorChart();
+    } else {
+        drawSensorChart();
+    }
+}
+
+function loadSensorChart() {
+    if (!sensorChart || !roomId) return;
+
+    const chart = sensorChart;
+    const request = ++sensorChartRequest;
+    const to = Date.now();
+    const from = to - SENSOR_CHART_RANGES[chart.range];
+    const url = `/api/rooms/${roomId}/sensors/${encodeURIComponent(chart.stationId)}/history` +
+        `?from=${from}&to=${to}&points=${SENSOR_CHART_POINTS}`;
+
+    fetch(url)
+        .then(res => res.json())
+        .then(data => {
+            if (request !== sensorChartRequest || sensorChart !== chart) return;
+            if (!data.success) throw new Error(data.error);
+            Object.assign(chart, { series: data.series, resolution: data.resolution, from, to });
+            drawSensorChart();
+        })
+        .catch(err => {
+            if (request !== sensorChartRequest) return;
+            document.getElementById('sensor-chart-status').textContent = `Could not load history: ${err.message}`;
+        });
+}
+
+// Average as a line over a min-max band, with the warning and evacuate thresholds dashed
+function drawSensorChart() {
+    const canvas = document.getElementById('sensor-chart-canvas');
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+    const pad = { left: 52, right: 12, top: 12, bottom: 24 };
+    const { field, from, to } = sensorChart;
+    const info = SENSOR_FIELDS[field];
+    const thresholds = gasThresholds && gasThresholds[field];
+    const points = (sensorChart.series || [])
+        .filter(bucket => bucket.values[field])
+        .map(bucket => ({ t: Date.parse(bucket.at), ...bucket.values[field] }));
+
+    ctx.clearRect(0, 0, width, height);
+    document.getElementById('sensor-chart-status').textContent = points.length === 0
+        ? `No ${info.label} readings in this period`
+        : `${points.length} points from ${sensorChart.resolution === 'raw' ? 'every reading' : 'one-minute averages'}; band shows min to max`;
+
+    // The value axis covers the readings and the thresholds
+    const values = points.flatMap(p => [p.min, p.max]);
+    if (thresholds) values.push(thresholds.warning, thresholds.evacuate);
+    if (values.length === 0) return;
+    let low = Math.min(...values);
+    let high = Math.max(...values);
+    const margin = (high - low) * 0.1 || Math.abs(high) * 0.1 || 1;
+    low = field === 'temperature' ? low - margin : Math.max(0, low - margin);
+    high += margin;
+
+    const xOf = (t) => pad.left + (t - from) / (to - from) * (width - pad.left - pad.right);
+    const yOf = (v) => height - pad.bottom - (v - low) / (high - low) * (height - pad.top - pad.bottom);
+    const line = (x1, y1, x2, y2) => {
+        ctx.beginPath();
+        ctx.moveTo(x1, y1);
+        ctx.lineTo(x2, y2);
+        ctx.stroke();
+    };
+
+    // Grid, value and time labels
+    ctx.font = '10px sans-serif';
+    ctx.fillStyle = '#9ca3af';
+    ctx.strokeStyle = '#ece9e6';
+    ctx.lineWidth = 1;
+    for (let i = 0; i <= 4; i++) {
+        const value = low + (high - low) * i / 4;
+        line(pad.left, yOf(value), width - pad.right, yOf(value));
+        ctx.textAlign = 'right';
+        ctx.fillText(`${value.toFixed(info.digits)}${info.unit}`, pad.left - 4, yOf(value) + 3);
+
+        const t = from + (to - from) * i / 4;
+        ctx.textAlign = i === 0 ? 'left' : i === 4 ? 'right' : 'center';
+        ctx.fillText(new Date(t).toTimeString().slice(0, 5), xOf(t), height - 8);
+    }
+
+    if (thresholds) {
+        [['warning', '#f59e0b'], ['evacuate', '#ef4444']].forEach(([level, color]) => {
+            const y = yOf(thresholds[level]);
+            ctx.strokeStyle = color;
+            ctx.setLineDash([6, 4]);
+            line(pad.left, y, width - pad.right, y);
+            ctx.setLineDash([]);
+            ctx.fillStyle = color;
+            ctx.textAlign = 'left';
+            ctx.fillText(level.toUpperCase(), pad.left + 4, y - 3);
+        });
+    }
+
+    // Min-max band, then the average on top
+    ctx.fillStyle = 'rgba(56, 189, 248, 0.25)';
+    ctx.beginPath();
+    points.forEach((p, i) => (i === 0 ? ctx.moveTo(xOf(p.t), yOf(p.max)) : ctx.lineTo(xOf(p.t), yOf(p.max))));
+    for (let i = points.length - 1; i >= 0; i--) ctx.lineTo(xOf(points[i].t), yOf(points[i].min));
+    ctx.closePath();
+    ctx.fill();
 
-        // Check danger zone proximity
+    ctx.strokeStyle = '#0284c7';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    points.forEach((p, i) => (i === 0 ? ctx.moveTo(xOf(p.t), yOf(p.avg)) : ctx.lineTo(xOf(p.t), yOf(p.avg))));
+    ctx.stroke();
+}
+
+// ============================================
+// PERSONNEL
+// ============================================
+const WORKER_FRESH_FOR = 15000;      // ms without a report before an avatar starts to fade
+const WORKER_STALE_AFTER = 120000;   // ms; fully faded and labeled with the time last seen
+const WORKER_STALE_OPACITY = 0.25;
+const WORKER_UPDATE_INTERVAL = 0.5;  // seconds between fade and hazard checks
+const WORKER_WARNING_REPEAT = 15000; // ms between warnings while a worker stays in a hazard
+const WORKER_COLOR = 0xfacc15;       // hi-vis yellow
+const WORKER_GLOW = 0x713f12;
+const WORKER_HAZARD_GLOW = 0xdc2626;
+
+// workerId -> { workerId, name, position, at, group, material, labelSprite, label, opacity, hazard, warnedAt }
+const workers = new Map();
+let workersCheckedAt = -Infinity;
+
+function setWorkerPosition(data) {
+    let worker = workers.get(data.workerId);
+    if (!worker) {
+        worker = { workerId: data.workerId, opacity: 1, hazard: null, warnedAt: 0 };
+        workers.set(data.workerId, worker);
+        createWorkerAvatar(worker);
+    }
+
+    Object.assign(worker, { name: data.name, position: data.position, at: Date.parse(data.at) });
+    worker.group.position.set(data.position.x, 0, data.position.z);
+    updateWorker(worker, Date.now());
+}
+
+function removeWorker(workerId) {
+    const worker = workers.get(workerId);
+    if (!worker) return;
+
+    scene.remove(worker.group);
+    worker.group.children.forEach(child => {
+        if (child.geometry) child.geometry.dispose();
+        if (child.material && child.material.map) child.material.map.dispose();
+    });
+    worker.material.dispose();
+    if (worker.labelSprite) worker.labelSprite.material.dispose();
+    workers.delete(workerId);
+}
+
+// Replace the tracked workers with the server's
+function restoreWorkers(list) {
+    [...workers.keys()].forEach(removeWorker);
+    (list || []).forEach(setWorkerPosition);
+}
+
+// A worker in a hard hat; the whole avatar fades as their position gets older
+function createWorkerAvatar(worker) {
+    const group = new THREE.Group();
+    const material = new THREE.MeshStandardMaterial({
+        color: WORKER_COLOR, emissive: WORKER_GLOW, emissiveIntensity: 0.6, transparent: true
+    });
+
+    const body = new THREE.Mesh(new THREE.CylinderGeometry(0.2, 0.25, 1.3, 12), material);
+    body.position.y = 0.65;
+    group.add(body);
+
+    const head = new THREE.Mesh(new THREE.SphereGeometry(0.18, 12, 8), material);
+    head.position.y = 1.5;
+    group.add(head);
+
+    scene.add(group);
+    worker.group = group;
+    worker.material = material;
+}
+
+function formatAge(ms) {
+    const minutes = Math.round(ms / 60000);
+    return minutes < 60 ? `${minutes} min` : `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+}
+
+// Fade, relabel and check one worker against the danger and restricted zones
+function updateWorker(worker, now) {
+    const age = now - worker.at;
+    const fade = Math.min(1, Math.max(0, (age - WORKER_FRESH_FOR) / (WORKER_STALE_AFTER - WORKER_FRESH_FOR)));
+    worker.opacity = 1 - fade * (1 - WORKER_STALE_OPACITY);
+    worker.material.opacity = worker.opacity;
+
+    const label = age < WORKER_STALE_AFTER ? worker.name : `${worker.name}\nlast seen ${formatAge(age)} ago`;
+    if (label !== worker.label) {
+        if (worker.labelSprite) {
+            worker.group.remove(worker.labelSprite);
+            worker.labelSprite.material.map.dispose();
+            worker.labelSprite.material.dispose();
+        }
+        worker.labelSprite = createTextSprite(label, '#facc15');
+        worker.labelSprite.position.y = 2.2;
+        worker.group.add(worker.labelSprite);
+        worker.label = label;
+    }
+    worker.labelSprite.material.opacity = worker.opacity;
+
+    // Warn when a worker enters a hazard, and again while they stay in it
+    const hazard = hazardAt(worker.position.x, worker.position.z);
+    worker.material.emissive.setHex(hazard ? WORKER_HAZARD_GLOW : WORKER_GLOW);
+    if (hazard && (hazard.id !== worker.hazard || now - worker.warnedAt >= WORKER_WARNING_REPEAT)) {
+        showWarning(`${worker.name.toUpperCase()} IN ${hazard.type === 'danger' ? 'DANGER ZONE' : 'RESTRICTED AREA'}`);
+        worker.warnedAt = now;
+    }
+    worker.hazard = hazard ? hazard.id : null;
+}
+
+function updateWorkers(time) {
+    if (time - workersCheckedAt < WORKER_UPDATE_INTERVAL) return;
+    workersCheckedAt = time;
+
+    const now = Date.now();
+    workers.forEach(worker => updateWorker(worker, now));
+}
+
+// The danger zone or active restricted zone a floor point is in, or null
+function hazardAt(x, z) {
+    return annotations.find(ann => {
         if (ann.type === 'danger' && ann.position) {
-            const dist = Math.sqrt(
-                Math.pow(playerPos.x - ann.position.x, 2) +
-                Math.pow(playerPos.z - ann.position.z, 2)
+            return Math.hypot(x - ann.position.x, z - ann.position.z) < (ann.radius || 5);
+        }
+        return ann.type === 'restricted' && ann.vertices && ann.active !== false &&
+            isPointInPolygon(x, z, ann.vertices);
+    }) || null;
+}
+
+// ============================================
+// PLACEMENT
+// ============================================
+const PLACEMENT_RANGE = 30;          // meters; farther surfaces fall back to the floor ahead
+const PLACEMENT_SEND_INTERVAL = 150; // ms between updates streamed to a controller
+
+// Meshes a marker can be placed on (floor, walls, pillars), filled by buildMine
+let placementSurfaces = [];
+// controllerId -> { type, radius, ghost, target, lastSent } while a controller's placement modal is open
+const placementPreviews = new Map();
+const placementRaycaster = new THREE.Raycaster();
+
+// Where the crosshair (screen center) meets the mine. The anchor is the floor
+// point a marker stands on: the hit itself on the floor, or just in front of
+// a wall or pillar.
+function raycastPlacement() {
+    placementRaycaster.setFromCamera({ x: 0, y: 0 }, camera);
+    placementRaycaster.far = PLACEMENT_RANGE;
+    const hit = placementRaycaster.intersectObjects(placementSurfaces)[0];
+
+    if (!hit) {
+        // Looking at the ceiling or into the distance: 5 m ahead on the floor
+        const forward = new THREE.Vector3(0, 0, -5).applyQuaternion(camera.quaternion).add(camera.position);
+        const point = { x: forward.x, y: 0, z: forward.z };
+        return { position: point, normal: { x: 0, y: 1, z: 0 }, surface: 'floor', anchor: point };
+    }
+
+    const normal = hit.face.normal.clone().transformDirection(hit.object.matrixWorld);
+    const surface = hit.object.userData.surface;
+    const anchor = surface === 'floor'
+        ? { x: hit.point.x, y: 0, z: hit.point.z }
+        : { x: hit.point.x + normal.x * 0.5, y: 0, z: hit.point.z + normal.z * 0.5 };
+
+    return {
+        position: { x: hit.point.x, y: hit.point.y, z: hit.point.z },
+        normal: { x: normal.x, y: normal.y, z: normal.z },
+        surface,
+        anchor
+    };
+}
+
+// Start (or update) the ghost marker for a controller's open placement modal
+function startPlacementPreview(controllerId, type, radius) {
+    endPlacementPreview(controllerId);
+
+    const preview = { type: type || 'danger', radius: radius || 5, ghost: null, target: null, lastSent: 0 };
+    preview.ghost = createPlacementGhost(preview);
+    scene.add(preview.ghost);
+    placementPreviews.set(controllerId, preview);
+}
+
+function endPlacementPreview(controllerId) {
+    const preview = placementPreviews.get(controllerId);
+    if (!preview) return;
+
+    scene.remove(preview.ghost);
+    preview.ghost.traverse(obj => {
+        if (obj.geometry) obj.geometry.dispose();
+        if (obj.material) obj.material.dispose();
+    });
+    placementPreviews.delete(controllerId);
+}
+
+// Translucent copy of the marker plus a reticle on the surface that was hit
+function createPlacementGhost(preview) {
+    const group = new THREE.Group();
+    const ghostColors = { incident: 0xff8800, sensor: 0x38bdf8 };
+    const ghostMat = new THREE.MeshBasicMaterial({
+        color: ghostColors[preview.type] || 0xff4444,
+        transparent: true,
+        opacity: 0.35,
+        wireframe: true,
+        depthWrite: false
+    });
+
+    let marker;
+    switch (preview.type) {
+        case 'incident':
+            marker = new THREE.Mesh(new THREE.ConeGeometry(0.5, 1.5, 8), ghostMat);
+            marker.position.y = 0.75;
+            break;
+        case 'sensor':
+            marker = new THREE.Mesh(new THREE.BoxGeometry(0.4, 1.85, 0.4), ghostMat);
+            marker.position.y = 0.925;
+            break;
+        default:
+            marker = new THREE.Mesh(new THREE.SphereGeometry(preview.radius, 16, 16), ghostMat);
+            marker.position.y = preview.radius / 2;
+    }
+    group.add(marker);
+
+    const reticle = new THREE.Mesh(
+        new THREE.RingGeometry(0.25, 0.35, 24),
+        new THREE.MeshBasicMaterial({ color: 0xffffff, transparent: true, opacity: 0.8, side: THREE.DoubleSide, depthWrite: false })
+    );
+    group.add(reticle);
+
+    group.userData = { marker, reticle };
+    group.visible = false;
+    return group;
+}
+
+// Follow the crosshair every frame and keep the controllers informed
+function updatePlacementPreviews(time) {
+    if (placementPreviews.size === 0) return;
+
+    const target = raycastPlacement();
+    const now = performance.now();
+
+    placementPreviews.forEach((preview, controllerId) => {
+        const { marker, reticle } = preview.ghost.userData;
+        preview.ghost.visible = true;
+        marker.position.x = target.anchor.x;
+        marker.position.z = target.anchor.z;
+        marker.rotation.y = time;
+
+        // Reticle lies flat on the surface, nudged off it to avoid z-fighting
+        const normal = new THREE.Vector3(target.normal.x, target.normal.y, target.normal.z);
+        reticle.position.set(target.position.x, target.position.y, target.position.z).addScaledVector(normal, 0.02);
+        reticle.lookAt(reticle.position.clone().add(normal));
+
+        const moved = !preview.target ||
+            Math.abs(preview.target.anchor.x - target.anchor.x) > 0.05 ||
+            Math.abs(preview.target.anchor.z - target.anchor.z) > 0.05;
+        if (moved && now - preview.lastSent >= PLACEMENT_SEND_INTERVAL && socket && roomId) {
+            socket.emit('placement-position', { roomId, controllerId, ...target });
+            preview.target = target;
+            preview.lastSent = now;
+        }
+    });
+}
+
+// ============================================
+// EXIT GUIDE
+// ============================================
+const EXIT_ROUTE_INTERVAL = 0.5; // seconds between route updates while moving
+const EXIT_ROUTE_MIN_MOVE = 0.5; // meters moved before the route is worth recomputing
+const EXIT_PATH_WIDTH = 0.6;
+
+let navGraph = null;    // walkable grid of the current layout (navigation.js)
+let exitRoute = null;   // { target, points, length } to the nearest exit, or null
+let exitPathMesh = null;
+let exitGuideEnabled = true;
+// What the current route was computed for
+let exitRouteState = { time: -Infinity, x: NaN, z: NaN, hazards: null };
+
+// Danger zones are avoided and active restricted zones routed around
+function isRouteHazard(ann) {
+    return ann.type === 'danger' || (ann.type === 'restricted' && ann.active !== false);
+}
+
+// Recompute on the next frame (layout changed)
+function invalidateExitRoute() {
+    exitRouteState.hazards = null;
+}
+
+function toggleExitGuide() {
+    exitGuideEnabled = !exitGuideEnabled;
+    if (!exitGuideEnabled) setExitPath(null);
+    invalidateExitRoute();
+    showWarning(exitGuideEnabled ? 'EXIT GUIDE ON' : 'EXIT GUIDE OFF');
+}
+
+// Keep the route live: recompute when the hazards change, or every
+// EXIT_ROUTE_INTERVAL once the camera has moved
+function updateExitGuide(time) {
+    const exits = (mineLayout && mineLayout.exits) || [];
+    const guide = document.getElementById('exit-guide');
+    if (!exitGuideEnabled || !navGraph || exits.length === 0) {
+        guide.classList.add('hidden');
+        return;
+    }
+    guide.classList.remove('hidden');
+
+    const hazards = annotations.filter(isRouteHazard);
+    const hazardKey = hazards.map(ann => `${ann.id}:${ann.version || 1}`).join(',');
+    const moved = Math.hypot(camera.position.x - exitRouteState.x, camera.position.z - exitRouteState.z);
+
+    if (hazardKey !== exitRouteState.hazards ||
+        (moved >= EXIT_ROUTE_MIN_MOVE && time - exitRouteState.time >= EXIT_ROUTE_INTERVAL)) {
+        const from = { x: camera.position.x, z: camera.position.z };
+        exitRoute = navGraph.findRoute(from, exits, hazards);
+        exitRouteState = { time, x: from.x, z: from.z, hazards: hazardKey };
+        setExitPath(exitRoute);
+    }
+
+    if (exitPathMesh) {
+        exitPathMesh.material.opacity = 0.45 + Math.sin(time * 4) * 0.15;
+    }
+    updateExitGuideHud();
+}
+
+// Distance along the route and which way to turn for its next leg
+function updateExitGuideHud() {
+    const label = document.getElementById('exit-guide-label');
+    const distance = document.getElementById('exit-guide-distance');
+    const arrow = document.getElementById('exit-guide-arrow');
+
+    if (!exitRoute) {
+        label.textContent = 'NO SAFE ROUTE';
+        distance.textContent = '';
+        arrow.style.transform = '';
+        arrow.classList.add('blocked');
+        return;
+    }
+    arrow.classList.remove('blocked');
+
+    const target = exitRoute.target;
+    label.textContent = `${target.kind === 'refuge' ? 'REFUGE' : 'EXIT'}${target.label ? ` · ${target.label}` : ''}`;
+
+    // The route starts where the camera was when it was computed; measure from here
+    const next = exitRoute.points[1];
+    const toNext = Math.hypot(next.x - camera.position.x, next.z - camera.position.z);
+    const firstLeg = Math.hypot(next.x - exitRoute.points[0].x, next.z - exitRoute.points[0].z);
+    distance.textContent = `${Math.max(0, exitRoute.length - firstLeg + toNext).toFixed(0)} m`;
+
+    // Heading of the next leg relative to the camera's (yaw 0 looks down -z; positive turns left)
+    const heading = Math.atan2(-(next.x - camera.position.x), -(next.z - camera.position.z));
+    let turn = heading - euler.y;
+    turn = Math.atan2(Math.sin(turn), Math.cos(turn));
+    arrow.style.transform = `rotate(${(-turn * 180 / Math.PI).toFixed(0)}deg)`;
+}
+
+// Show the exit guide's route on the floor
+function setExitPath(route) {
+    if (exitPathMesh) {
+        disposeRouteRibbon(exitPathMesh);
+        exitPathMesh = null;
+    }
+    if (!route) return;
+
+    exitPathMesh = createRouteRibbon(route.points, { color: 0x00ff88, width: EXIT_PATH_WIDTH });
+    scene.add(exitPathMesh);
+}
+
+// Glowing ribbon along a route, just above the floor (in dashes of dashLength meters if given)
+function createRouteRibbon(points, { color, width, height = 0.04, dashLength = 0 }) {
+    const positions = [];
+    const half = width / 2;
+
+    const addQuad = (a, b, ox, oz) => {
+        positions.push(
+            a.x + ox, height, a.z + oz, a.x - ox, height, a.z - oz, b.x + ox, height, b.z + oz,
+            b.x + ox, height, b.z + oz, a.x - ox, height, a.z - oz, b.x - ox, height, b.z - oz
+        );
+    };
+
+    for (let i = 1; i < points.length; i++) {
+        const a = points[i - 1];
+        const b = points[i];
+        const length = Math.hypot(b.x - a.x, b.z - a.z);
+        if (length < 0.01) continue;
+
+        // Sideways offset for the ribbon's edges
+        const ox = -(b.z - a.z) / length * half;
+        const oz = (b.x - a.x) / length * half;
+        if (!dashLength) {
+            addQuad(a, b, ox, oz);
+            continue;
+        }
+        for (let d = 0; d < length; d += dashLength * 2) {
+            const t0 = d / length;
+            const t1 = Math.min(1, (d + dashLength) / length);
+            addQuad(
+                { x: a.x + (b.x - a.x) * t0, z: a.z + (b.z - a.z) * t0 },
+                { x: a.x + (b.x - a.x) * t1, z: a.z + (b.z - a.z) * t1 },
+                ox, oz
             );
-            if (dist < (ann.radius || 5)) {
-                showWarning('ENTERING DANGER ZONE');
-            }
         }
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    const material = new THREE.MeshBasicMaterial({
+        color,
+        transparent: true,
+        opacity: 0.5,
+        blending: THREE.AdditiveBlending,
+        depthWrite: false,
+        side: THREE.DoubleSide
     });
+    return new THREE.Mesh(geometry, material);
+}
+
+function disposeRouteRibbon(mesh) {
+    scene.remove(mesh);
+    mesh.geometry.dispose();
+    mesh.material.dispose();
+}
 
-    if (inRestricted) {
-        showWarning('RESTRICTED AREA - TURN BACK');
+// ============================================
+// EVACUATION PLAN
+// ============================================
+// Routes planned by the server (server/evacuation.js) around the room's hazards:
+// the route to follow in solid orange, its fallback dashed. The server sends a
+// new plan whenever a hazard changes; walking away asks for one from here.
+const EVACUATION_REPLAN_DISTANCE = 3; // meters
+
+let evacuationEnabled = false;
+let evacuationPlan = null;
+let evacuationRoutesShown = { primary: null, secondary: null };
+let evacuationMeshes = [];
+let evacuationRequestedAt = null; // where the current plan starts
+
+function toggleEvacuationPlan() {
+    if (!socket || !roomId || isSpectator) {
+        showWarning('EVACUATION PLAN NEEDS A ROOM');
+        return;
+    }
+
+    evacuationEnabled = !evacuationEnabled;
+    if (evacuationEnabled) {
+        requestEvacuationPlan();
+    } else {
+        socket.emit('stop-evacuation-plan', { roomId });
+        evacuationRequestedAt = null;
+        setEvacuationPlan(null);
     }
 }
 
+function requestEvacuationPlan() {
+    const position = { x: camera.position.x, z: camera.position.z };
+    evacuationRequestedAt = position;
+
+    socket.emit('request-evacuation-plan', { roomId, position }, (response) => {
+        if (!evacuationEnabled) return;
+        if (response.success) {
+            setEvacuationPlan(response.plan);
+        } else {
+            console.warn('Could not plan evacuation:', response.error);
+            showWarning('EVACUATION PLAN UNAVAILABLE');
+        }
+    });
+}
+
+// Follow the camera: a plan is only good near where it starts
+function updateEvacuationPlan() {
+    if (!evacuationEnabled || !evacuationRequestedAt) return;
+
+    const moved = Math.hypot(camera.position.x - evacuationRequestedAt.x, camera.position.z - evacuationRequestedAt.z);
+    if (moved >= EVACUATION_REPLAN_DISTANCE) requestEvacuationPlan();
+}
+
+// The route to follow is the shortest; its fallback is another way to the same
+// exit or the way to the next-nearest one, whichever is shorter
+function pickEvacuationRoutes(plan) {
+    const reachable = plan.routes.filter(r => r.primary);
+    if (reachable.length === 0) return { primary: null, secondary: null };
+
+    const best = reachable[0];
+    const fallbacks = reachable.slice(1).map(r => ({ exit: r.exit, route: r.primary }));
+    if (best.secondary) fallbacks.push({ exit: best.exit, route: best.secondary });
+    fallbacks.sort((a, b) => a.route.length - b.route.length);
+
+    return { primary: { exit: best.exit, route: best.primary }, secondary: fallbacks[0] || null };
+}
+
+function setEvacuationPlan(plan) {
+    evacuationMeshes.forEach(disposeRouteRibbon);
+    evacuationMeshes = [];
+    evacuationPlan = plan;
+    evacuationRoutesShown = plan ? pickEvacuationRoutes(plan) : { primary: null, secondary: null };
+
+    const { primary, secondary } = evacuationRoutesShown;
+    if (secondary) {
+        evacuationMeshes.push(createRouteRibbon(secondary.route.points, { color: 0xffdd00, width: 0.4, height: 0.05, dashLength: 1 }));
+    }
+    if (primary) {
+        evacuationMeshes.push(createRouteRibbon(primary.route.points, { color: 0xff8800, width: 0.8, height: 0.06 }));
+    }
+    evacuationMeshes.forEach(mesh => scene.add(mesh));
+
+    updateEvacuationPanel();
+}
+
+function formatWalkTime(seconds) {
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+// Every exit with its primary and secondary route
+function updateEvacuationPanel() {
+    const panel = document.getElementById('evacuation-panel');
+    const list = document.getElementById('evacuation-list');
+    if (!evacuationPlan) {
+        panel.classList.add('hidden');
+        return;
+    }
+    panel.classList.remove('hidden');
+
+    if (evacuationPlan.routes.length === 0) {
+        list.innerHTML = '<li class="empty">No exits in this layout</li>';
+        return;
+    }
+
+    const describe = (route) => (route ? `${route.length.toFixed(0)} m · ${formatWalkTime(route.walkTime)}` : '—');
+    list.innerHTML = '';
+    evacuationPlan.routes.forEach(({ exit, primary, secondary }) => {
+        const li = document.createElement('li');
+        if (!primary) li.classList.add('blocked');
+        // Labels come from uploaded layouts, so never as HTML
+        [
+            ['evacuation-exit', `${exit.kind === 'refuge' ? 'REFUGE' : 'EXIT'}${exit.label ? ` ${exit.label}` : ''}`],
+            ['evacuation-route', primary ? describe(primary) : 'BLOCKED'],
+            ['evacuation-alt', `alt ${describe(secondary)}`]
+        ].forEach(([className, text]) => {
+            const span = document.createElement('span');
+            span.className = className;
+            span.textContent = text;
+            li.appendChild(span);
+        });
+        list.appendChild(li);
+    });
+}
+
+// ============================================
+// COLLISION DETECTION
+// ============================================
+const PLAYER_RADIUS = 0.4;
+const WALL_HALF_THICKNESS = 0.15; // createWallSegment boxes are 0.3 m thick
+const MAX_MOVE_STEP = 0.2;        // smaller than any overlap depth, so fast moves can't tunnel through walls
+
+// Restricted zone the camera was last stopped at (read by checkRestrictedZones)
+let blockedByZone = null;
+// The zone that stopped the camera last frame, and when that last warned; pressing
+// against a barrier, or sliding along it, warns once
+let lastBlockedZone = null;
+let blockWarnedAt = 0;
+const BLOCK_WARNING_GAP = 2000; // ms
+
+// Move the camera across the floor, stopping at walls, pillars and restricted
+// zones and sliding along them
+function moveCamera(dx, dz) {
+    const distance = Math.sqrt(dx * dx + dz * dz);
+    if (distance === 0) return;
+
+    const steps = Math.ceil(distance / MAX_MOVE_STEP);
+    for (let i = 0; i < steps; i++) {
+        const barriers = getZoneBarriers(camera.position.x, camera.position.z);
+        const next = resolveCollisions(camera.position.x + dx / steps, camera.position.z + dz / steps, barriers);
+        camera.position.x = next.x;
+        camera.position.z = next.z;
+        if (next.blockedBy) blockedByZone = next.blockedBy;
+    }
+}
+
+// Edges of the blocking restricted zones the point is outside of. A zone drawn
+// around the player has no barrier on the inside, so they can always walk out.
+function getZoneBarriers(x, z) {
+    const barriers = [];
+    annotations.forEach(ann => {
+        if (!isBlockingZone(ann) || isPointInPolygon(x, z, ann.vertices)) return;
+
+        ann.vertices.forEach((vertex, i) => {
+            barriers.push({ start: vertex, end: ann.vertices[(i + 1) % ann.vertices.length], zone: ann });
+        });
+    });
+    return barriers;
+}
+
+// Restricted zones stop the camera unless they are inactive or only warn
+function isBlockingZone(ann) {
+    return ann.type === 'restricted' && ann.active !== false && !ann.warnOnly &&
+        Array.isArray(ann.vertices) && ann.vertices.length >= 3;
+}
+
+// Push a floor point out of every wall, pillar and zone barrier it overlaps.
+// Pushing along the surface normal only cancels the part of a move going into
+// the wall, which is what makes the player slide along it.
+function resolveCollisions(x, z, barriers = []) {
+    let blockedBy = null;
+
+    const push = (closestX, closestZ, minDistance, fallbackNormal) => {
+        const offsetX = x - closestX;
+        const offsetZ = z - closestZ;
+        const distance = Math.sqrt(offsetX * offsetX + offsetZ * offsetZ);
+        if (distance >= minDistance) return false;
+
+        if (distance > 1e-6) {
+            x = closestX + offsetX / distance * minDistance;
+            z = closestZ + offsetZ / distance * minDistance;
+        } else {
+            x = closestX + fallbackNormal.x * minDistance;
+            z = closestZ + fallbackNormal.z * minDistance;
+        }
+        return true;
+    };
+
+    // A few passes settle corners where two walls push against each other
+    for (let pass = 0; pass < 3; pass++) {
+        let collided = false;
+
+        mineWalls.forEach(wall => {
+            const closest = closestPointOnSegment(x, z, wall.start, wall.end);
+            if (push(closest.x, closest.z, PLAYER_RADIUS + WALL_HALF_THICKNESS, closest.normal)) collided = true;
+        });
+
+        minePillars.forEach(pillar => {
+            if (push(pillar.x, pillar.z, PLAYER_RADIUS + pillar.radius, { x: 1, z: 0 })) collided = true;
+        });
+
+        // Zone fences have no thickness
+        barriers.forEach(barrier => {
+            const closest = closestPointOnSegment(x, z, barrier.start, barrier.end);
+            if (push(closest.x, closest.z, PLAYER_RADIUS, closest.normal)) {
+                collided = true;
+                blockedBy = barrier.zone;
+            }
+        });
+
+        if (!collided) break;
+    }
+
+    return { x, z, blockedBy };
+}
+
+function closestPointOnSegment(x, z, start, end) {
+    const dx = end.x - start.x;
+    const dz = end.z - start.z;
+    const lengthSq = dx * dx + dz * dz;
+    const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((x - start.x) * dx + (z - start.z) * dz) / lengthSq)) : 0;
+    const length = Math.sqrt(lengthSq) || 1;
+
+    return {
+        x: start.x + dx * t,
+        z: start.z + dz * t,
+        // Used when the point sits exactly on the wall
+        normal: { x: -dz / length, z: dx / length }
+    };
+}
+
+// Open layouts have no outer walls; don't let the camera leave the mine entirely
+function clampToLayoutBounds() {
+    const bounds = getLayoutBounds(mineLayout);
+    camera.position.x = Math.max(bounds.minX - 5, Math.min(bounds.maxX + 5, camera.position.x));
+    camera.position.z = Math.max(bounds.minZ - 5, Math.min(bounds.maxZ + 5, camera.position.z));
+}
+
+// Zones the camera was inside last frame (ids), so each warns once on entry
+let cameraZones = new Set();
+
+function checkRestrictedZones() {
+    const playerPos = camera.position;
+    const inside = new Set();
+    let entered = null;
+
+    annotations.forEach(ann => {
+        // Inactive zones are ignored entirely
+        const isInside = ann.type === 'restricted'
+            ? ann.vertices && ann.active !== false && isPointInPolygon(playerPos.x, playerPos.z, ann.vertices)
+            : ann.type === 'danger' && ann.position &&
+                Math.hypot(playerPos.x - ann.position.x, playerPos.z - ann.position.z) < (ann.radius || 5);
+        if (!isInside) return;
+
+        inside.add(ann.id);
+        // A restricted area outranks a danger zone entered in the same frame
+        if (!cameraZones.has(ann.id) && (!entered || ann.type === 'restricted')) entered = ann;
+    });
+    cameraZones = inside;
+
+    if (entered) {
+        showWarning(entered.type === 'restricted' ? 'RESTRICTED AREA - TURN BACK' : 'ENTERING DANGER ZONE');
+    } else if (blockedByZone && blockedByZone !== lastBlockedZone && Date.now() - blockWarnedAt >= BLOCK_WARNING_GAP) {
+        showWarning('RESTRICTED AREA - ACCESS BLOCKED');
+        blockWarnedAt = Date.now();
+    }
+    lastBlockedZone = blockedByZone;
+    blockedByZone = null;
+}
+
 function isPointInPolygon(x, z, vertices) {
     let inside = false;
     for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
@@ -1171,15 +3015,23 @@ function isPointInPolygon(x, z, vertices) {
 }
 
 let warningTimeout;
-function showWarning(text) {
+// Priority of the warning on screen; a lower one can't replace it until it hides
+let warningPriority = 0;
+const ALARM_PRIORITY = 1; // gas alarms (and their all-clear)
+
+function showWarning(text, sound = 'warning', priority = 0) {
+    if (priority < warningPriority) return;
+
     const warningEl = document.getElementById('warning-flash');
     document.getElementById('warning-text').textContent = text;
     warningEl.classList.remove('hidden');
-    playSound('warning');
+    playSound(sound);
+    warningPriority = priority;
 
     clearTimeout(warningTimeout);
     warningTimeout = setTimeout(() => {
         warningEl.classList.add('hidden');
+        warningPriority = 0;
     }, 2000);
 }
 
@@ -1203,6 +3055,7 @@ function playSound(type) {
     oscillator.connect(gainNode);
     gainNode.connect(audioContext.destination);
 
+    let duration = 0.3;
     switch (type) {
         case 'alert':
             oscillator.frequency.value = 800;
@@ -1214,11 +3067,20 @@ function playSound(type) {
             oscillator.type = 'sawtooth';
             gainNode.gain.value = 0.15;
             break;
+        case 'gas-alarm':
+            // Two-tone siren, long enough to stand out from the other beeps
+            duration = 1.6;
+            oscillator.type = 'square';
+            gainNode.gain.value = 0.2;
+            for (let i = 0; i < 8; i++) {
+                oscillator.frequency.setValueAtTime(i % 2 ? 660 : 990, audioContext.currentTime + i * 0.2);
+            }
+            break;
     }
 
     oscillator.start();
-    gainNode.gain.exponentialRampToValueAtTime(0.001, audioContext.currentTime + 0.3);
-    oscillator.stop(audioContext.currentTime + 0.3);
+    gainNode.gain.exponentialRampToValueAtTime(0.001, audioContext.currentTime + duration);
+    oscillator.stop(audioContext.currentTime + duration);
 }
 
 // ============================================
@@ -1231,7 +3093,7 @@ function animate() {
     const time = clock.getElapsedTime();
 
     // Apply keyboard movement
-    if (moveForward || moveBackward || moveLeft || moveRight) {
+    if (!isSpectator && (moveForward || moveBackward || moveLeft || moveRight)) {
         const speed = CONFIG.movement.speed * (isRunning ? CONFIG.movement.runMultiplier : 1);
 
         direction.z = Number(moveForward) - Number(moveBackward);
@@ -1250,27 +3112,26 @@ function animate() {
         moveDir.applyQuaternion(camera.quaternion);
         moveDir.y = 0;
 
-        camera.position.add(moveDir);
+        moveCamera(moveDir.x, moveDir.z);
     }
 
-    // Apply tablet movement (motion sensor mode)
-    applyTabletMovement(delta);
+    if (!isSpectator) {
+        // Apply tablet movement (motion sensor mode)
+        applyTabletMovement(delta);
 
-    // Apply touch movement (touch control mode)
-    applyTouchMovement(delta);
+        // Apply touch movement (touch control mode)
+        applyTouchMovement(delta);
+    }
 
     // Keep camera at proper height
     camera.position.y = CONFIG.camera.height;
 
-    // Bound camera to mine area
-    camera.position.x = Math.max(-50, Math.min(50, camera.position.x));
-    camera.position.z = Math.max(-170, Math.min(10, camera.position.z));
+    // Bound camera to mine area (walls and pillars are handled by moveCamera)
+    clampToLayoutBounds();
 
-    // Update dust particles
+    // Let the dust drift slowly up and down (it stays inside the layout)
     if (dustParticles) {
-        dustParticles.position.x = camera.position.x;
-        dustParticles.position.z = camera.position.z;
-        dustParticles.rotation.y += delta * 0.1;
+        dustParticles.position.y = Math.sin(clock.elapsedTime * 0.3) * 0.2;
     }
 
     // Flicker lights
@@ -1290,21 +3151,35 @@ function animate() {
         }
     });
 
+    // Ghost markers for open placement modals
+    updatePlacementPreviews(time);
+
+    // Route to the nearest exit, and the server's evacuation plan
+    updateExitGuide(time);
+    updateEvacuationPlan();
+
     // Check collisions
     checkRestrictedZones();
 
+    // Fade silent workers and warn about any inside a hazard
+    updateWorkers(time);
+
     // Update HUD
     updateMinimap();
     updateStatusPanel();
 
-    // Send camera position to server for controller
-    if (socket && roomId) {
+    // Send camera position and orientation to server for controllers and spectators
+    if (socket && roomId && !isSpectator) {
         socket.emit('camera-position', {
             roomId: roomId,
             position: {
                 x: camera.position.x,
                 y: camera.position.y,
                 z: camera.position.z
+            },
+            rotation: {
+                x: euler.x,
+                y: euler.y
             }
         });
     }
@@ -1312,24 +3187,39 @@ function animate() {
     renderer.render(scene, camera);
 }
 
+// Conditions where the camera stands, interpolated from the nearest sensor stations ('--' without data)
 function updateStatusPanel() {
-    // Simulate changing values
-    const depth = Math.abs(Math.floor(camera.position.z * 0.8 + 150));
-    document.getElementById('depth-value').textContent = `-${depth}m`;
-
-    // Oxygen decreases slightly over time
-    const oxygen = Math.max(85, 98 - clock.getElapsedTime() * 0.01);
-    document.getElementById('oxygen-value').textContent = `${oxygen.toFixed(1)}%`;
-    document.getElementById('oxygen-bar').style.width = `${oxygen}%`;
-
-    // Methane varies
-    const methane = 0.2 + Math.sin(clock.getElapsedTime() * 0.5) * 0.1;
-    document.getElementById('methane-value').textContent = `${methane.toFixed(2)}%`;
-    document.getElementById('methane-bar').style.width = `${methane * 20}%`;
-
-    // Temperature varies with depth
-    const temp = 28 + depth * 0.02;
-    document.getElementById('temp-value').textContent = `${temp.toFixed(1)}°C`;
+    const { x, z } = camera.position;
+    const format = (value, digits, unit) => (value === null ? '--' : `${value.toFixed(digits)}${unit}`);
+
+    const depth = interpolateDepth(x, z);
+    document.getElementById('depth-value').textContent = depth === null ? '--' : `-${Math.round(depth)}m`;
+
+    // Bars turn amber at the warning threshold and red at evacuate
+    const barClass = (gas, value) => {
+        const level = gasAlarmLevel(gas, value);
+        return level ? `fill ${level === 'evacuate' ? 'danger' : 'warning'}` : 'fill';
+    };
+
+    // Fresh air is 20.9% oxygen: a full bar
+    const oxygen = interpolateSensorValue('o2', x, z);
+    const oxygenBar = document.getElementById('oxygen-bar');
+    document.getElementById('oxygen-value').textContent = format(oxygen, 1, '%');
+    oxygenBar.style.width = `${Math.min(100, (oxygen || 0) / 20.9 * 100)}%`;
+    oxygenBar.className = barClass('o2', oxygen);
+
+    // Full bar at 5%, methane's lower explosive limit
+    const methane = interpolateSensorValue('ch4', x, z);
+    const methaneBar = document.getElementById('methane-bar');
+    document.getElementById('methane-value').textContent = format(methane, 2, '%');
+    methaneBar.style.width = `${Math.min(100, (methane || 0) * 20)}%`;
+    methaneBar.className = barClass('ch4', methane);
+
+    const monoxide = interpolateSensorValue('co', x, z);
+    document.getElementById('co-value').textContent = format(monoxide, 0, 'ppm');
+
+    const temp = interpolateSensorValue('temperature', x, z);
+    document.getElementById('temp-value').textContent = format(temp, 1, '°C');
 }
 
 // ============================================
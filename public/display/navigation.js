@@ -0,0 +1,401 @@
+// AR Mine Safety - Mine Navigation
+// Walkable grid over a mine layout and shortest routes across it.
+// Cells closer to a wall or pillar than a person can stand are never walked;
+// danger zones are expensive to cross and restricted zones can't be entered.
+//
+// Usage:
+//   const nav = MineNavigation.createNavGraph(layout);
+//   nav.findRoute({ x, z }, layout.exits, hazards) -> { target, points, length } or null
+//   nav.findRoutes({ x, z }, layout.exits, hazards) -> [{ target, primary, secondary }]
+// hazards are danger / restricted annotations as the server sends them.
+
+const MineNavigation = (function () {
+    const CELL_SIZE = 0.5;      // meters; grown for very large layouts
+    const MAX_CELLS = 300000;
+    const CLEARANCE = 0.6;      // player radius plus half a wall's thickness
+    const PILLAR_RADIUS = 0.6;
+    const DANGER_COST = 25;     // a meter inside a danger zone costs this many meters
+    const SNAP_RADIUS = 3;      // meters searched for a walkable cell near a point
+    // Second routes: cells this close to the first route cost ALTERNATIVE_PENALTY times
+    // more, and a second route sharing more than MAX_SHARED of its cells isn't one
+    const ALTERNATIVE_CORRIDOR = 4;
+    const ALTERNATIVE_PENALTY = 10;
+    const MAX_SHARED = 0.5;
+
+    // ============================================
+    // GRID
+    // ============================================
+    function getBounds(layout) {
+        if (layout.bounds) return layout.bounds;
+
+        let minX = Infinity, maxX = -Infinity, minZ = Infinity, maxZ = -Infinity;
+        layout.walls.forEach(wall => {
+            minX = Math.min(minX, wall.start.x, wall.end.x);
+            maxX = Math.max(maxX, wall.start.x, wall.end.x);
+            minZ = Math.min(minZ, wall.start.z, wall.end.z);
+            maxZ = Math.max(maxZ, wall.start.z, wall.end.z);
+        });
+        return { minX, maxX, minZ, maxZ };
+    }
+
+    function distanceToSegment(x, z, start, end) {
+        const dx = end.x - start.x;
+        const dz = end.z - start.z;
+        const lengthSq = dx * dx + dz * dz;
+        const t = lengthSq > 0
+            ? Math.max(0, Math.min(1, ((x - start.x) * dx + (z - start.z) * dz) / lengthSq))
+            : 0;
+        return Math.hypot(x - (start.x + t * dx), z - (start.z + t * dz));
+    }
+
+    function isPointInPolygon(x, z, vertices) {
+        let inside = false;
+        for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
+            const xi = vertices[i].x, zi = vertices[i].z;
+            const xj = vertices[j].x, zj = vertices[j].z;
+            if (((zi > z) !== (zj > z)) && (x < (xj - xi) * (z - zi) / (zj - zi) + xi)) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    function createNavGraph(layout) {
+        const bounds = getBounds(layout);
+        const width = bounds.maxX - bounds.minX;
+        const depth = bounds.maxZ - bounds.minZ;
+        const cellSize = Math.max(CELL_SIZE, Math.sqrt(width * depth / MAX_CELLS));
+        const cols = Math.ceil(width / cellSize) + 1;
+        const rows = Math.ceil(depth / cellSize) + 1;
+
+        // Coarse cells must still never straddle a wall
+        const margin = Math.max(CLEARANCE, cellSize * 0.75);
+        const blocked = new Uint8Array(cols * rows);
+
+        const cellX = (col) => bounds.minX + col * cellSize;
+        const cellZ = (row) => bounds.minZ + row * cellSize;
+        const toCol = (x) => Math.round((x - bounds.minX) / cellSize);
+        const toRow = (z) => Math.round((z - bounds.minZ) / cellSize);
+        const inGrid = (col, row) => col >= 0 && col < cols && row >= 0 && row < rows;
+
+        // Mark every cell within `reach` of a shape, visiting only its bounding box
+        function markNear(minX, maxX, minZ, maxZ, reach, distance) {
+            const c0 = Math.max(0, Math.floor((minX - reach - bounds.minX) / cellSize));
+            const c1 = Math.min(cols - 1, Math.ceil((maxX + reach - bounds.minX) / cellSize));
+            const r0 = Math.max(0, Math.floor((minZ - reach - bounds.minZ) / cellSize));
+            const r1 = Math.min(rows - 1, Math.ceil((maxZ + reach - bounds.minZ) / cellSize));
+            for (let row = r0; row <= r1; row++) {
+                for (let col = c0; col <= c1; col++) {
+                    if (distance(cellX(col), cellZ(row)) < reach) blocked[row * cols + col] = 1;
+                }
+            }
+        }
+
+        layout.walls.forEach(wall => {
+            markNear(
+                Math.min(wall.start.x, wall.end.x), Math.max(wall.start.x, wall.end.x),
+                Math.min(wall.start.z, wall.end.z), Math.max(wall.start.z, wall.end.z),
+                margin, (x, z) => distanceToSegment(x, z, wall.start, wall.end)
+            );
+        });
+        (layout.pillars || []).forEach(p => {
+            markNear(p.x, p.x, p.z, p.z, PILLAR_RADIUS + margin, (x, z) => Math.hypot(x - p.x, z - p.z));
+        });
+
+        // ============================================
+        // HAZARDS
+        // ============================================
+
+        // Per-cell cost multiplier: 1 in the open, DANGER_COST in danger zones,
+        // Infinity in restricted zones (unless `from` is already inside one)
+        function hazardCosts(hazards, from) {
+            const cost = new Float32Array(cols * rows).fill(1);
+
+            hazards.forEach(hazard => {
+                if (hazard.type === 'danger' && hazard.position) {
+                    const radius = hazard.radius || 5;
+                    const { x, z } = hazard.position;
+                    forCellsIn(x - radius, x + radius, z - radius, z + radius, (index, cx, cz) => {
+                        if (Math.hypot(cx - x, cz - z) < radius) cost[index] = Math.max(cost[index], DANGER_COST);
+                    });
+                } else if (hazard.type === 'restricted' && hazard.active !== false && hazard.vertices) {
+                    const vertices = hazard.vertices;
+                    // Someone already inside must be able to walk out
+                    const value = isPointInPolygon(from.x, from.z, vertices) ? DANGER_COST : Infinity;
+                    forCellsIn(
+                        Math.min(...vertices.map(v => v.x)), Math.max(...vertices.map(v => v.x)),
+                        Math.min(...vertices.map(v => v.z)), Math.max(...vertices.map(v => v.z)),
+                        (index, cx, cz) => {
+                            if (isPointInPolygon(cx, cz, vertices)) cost[index] = Math.max(cost[index], value);
+                        }
+                    );
+                }
+            });
+            return cost;
+        }
+
+        function forCellsIn(minX, maxX, minZ, maxZ, visit) {
+            const c0 = Math.max(0, Math.floor((minX - bounds.minX) / cellSize));
+            const c1 = Math.min(cols - 1, Math.ceil((maxX - bounds.minX) / cellSize));
+            const r0 = Math.max(0, Math.floor((minZ - bounds.minZ) / cellSize));
+            const r1 = Math.min(rows - 1, Math.ceil((maxZ - bounds.minZ) / cellSize));
+            for (let row = r0; row <= r1; row++) {
+                for (let col = c0; col <= c1; col++) visit(row * cols + col, cellX(col), cellZ(row));
+            }
+        }
+
+        // Nearest walkable cell to a point (points right next to a wall sit in blocked cells)
+        function snap(point, cost) {
+            const col = toCol(point.x);
+            const row = toRow(point.z);
+            const reach = Math.ceil(SNAP_RADIUS / cellSize);
+            let best = -1, bestDist = Infinity;
+
+            for (let r = row - reach; r <= row + reach; r++) {
+                for (let c = col - reach; c <= col + reach; c++) {
+                    if (!inGrid(c, r)) continue;
+                    const index = r * cols + c;
+                    if (blocked[index] || cost[index] === Infinity) continue;
+                    const d = Math.hypot(cellX(c) - point.x, cellZ(r) - point.z);
+                    if (d < bestDist) {
+                        best = index;
+                        bestDist = d;
+                    }
+                }
+            }
+            return best;
+        }
+
+        // ============================================
+        // SEARCH
+        // ============================================
+        const NEIGHBORS = [[1, 0], [-1, 0], [0, 1], [0, -1], [1, 1], [1, -1], [-1, 1], [-1, -1]];
+
+        // Dijkstra from one cell until the nearest goal is settled (every goal with `all`)
+        function search(startIndex, cost, goals, all = false) {
+            const dist = new Float64Array(cols * rows).fill(Infinity);
+            const prev = new Int32Array(cols * rows).fill(-1);
+            const heap = createHeap();
+            let remaining = goals.size;
+
+            dist[startIndex] = 0;
+            heap.push(startIndex, 0);
+
+            while (heap.size() > 0) {
+                const { index, priority } = heap.pop();
+                if (priority > dist[index]) continue;
+                if (goals.has(index)) {
+                    if (!all) return { goal: index, dist, prev };
+                    if (--remaining === 0) break;
+                }
+
+                const col = index % cols;
+                const row = (index - col) / cols;
+                for (const [dc, dr] of NEIGHBORS) {
+                    const c = col + dc, r = row + dr;
+                    if (!inGrid(c, r)) continue;
+                    const next = r * cols + c;
+                    if (blocked[next] || cost[next] === Infinity) continue;
+                    // No cutting corners past a wall end
+                    if (dc !== 0 && dr !== 0 && (blocked[row * cols + c] || blocked[r * cols + col])) continue;
+
+                    const step = (dc !== 0 && dr !== 0 ? Math.SQRT2 : 1) * cellSize;
+                    const d = dist[index] + step * (cost[index] + cost[next]) / 2;
+                    if (d < dist[next]) {
+                        dist[next] = d;
+                        prev[next] = index;
+                        heap.push(next, d);
+                    }
+                }
+            }
+            return { goal: -1, dist, prev };
+        }
+
+        function cellPath(prev, goal) {
+            const path = [];
+            for (let index = goal; index !== -1; index = prev[index]) path.push(index);
+            return path.reverse();
+        }
+
+        // Straight walk between two points that stays on cells no costlier than maxCost
+        function isClear(a, b, cost, maxCost) {
+            const length = Math.hypot(b.x - a.x, b.z - a.z);
+            const steps = Math.ceil(length / (cellSize / 2));
+            for (let i = 1; i < steps; i++) {
+                const t = i / steps;
+                const col = toCol(a.x + (b.x - a.x) * t);
+                const row = toRow(a.z + (b.z - a.z) * t);
+                if (!inGrid(col, row)) return false;
+                const index = row * cols + col;
+                if (blocked[index] || cost[index] > maxCost) return false;
+            }
+            return true;
+        }
+
+        // Drop the grid's staircase: skip every cell the route can see past
+        function smooth(cells, cost) {
+            const points = cells.map(index => ({ x: cellX(index % cols), z: cellZ(Math.floor(index / cols)) }));
+            const result = [points[0]];
+            let anchor = 0;
+
+            while (anchor < points.length - 1) {
+                let next = anchor + 1;
+                let maxCost = Math.max(cost[cells[anchor]], cost[cells[next]]);
+                for (let j = anchor + 2; j < points.length; j++) {
+                    const candidateCost = Math.max(maxCost, cost[cells[j]]);
+                    if (!isClear(points[anchor], points[j], cost, candidateCost)) break;
+                    next = j;
+                    maxCost = candidateCost;
+                }
+                result.push(points[next]);
+                anchor = next;
+            }
+            return result;
+        }
+
+        function routeLength(points) {
+            let length = 0;
+            for (let i = 1; i < points.length; i++) {
+                length += Math.hypot(points[i].x - points[i - 1].x, points[i].z - points[i - 1].z);
+            }
+            return length;
+        }
+
+        // Start and end at the real points rather than the cells they snapped to
+        function toRoute(cells, cost, from, target) {
+            const points = smooth(cells, cost);
+            points[0] = { x: from.x, z: from.z };
+            if (points.length === 1) points.push({ x: target.x, z: target.z });
+            else points[points.length - 1] = { x: target.x, z: target.z };
+
+            return { target, points, length: routeLength(points) };
+        }
+
+        // Shortest (hazard-weighted) route from `from` to the nearest reachable target
+        function findRoute(from, targets, hazards = []) {
+            const cost = hazardCosts(hazards, from);
+            const startIndex = snap(from, cost);
+            if (startIndex === -1) return null;
+
+            const goals = new Map();
+            targets.forEach(target => {
+                const index = snap(target, cost);
+                if (index !== -1 && !goals.has(index)) goals.set(index, target);
+            });
+            if (goals.size === 0) return null;
+
+            const { goal, prev } = search(startIndex, cost, new Set(goals.keys()));
+            if (goal === -1) return null;
+
+            return toRoute(cellPath(prev, goal), cost, from, goals.get(goal));
+        }
+
+        // Routes to every target: the shortest, and a second one keeping clear of it
+        // where the mine allows (null when every other way mostly shares the first).
+        // Unreachable targets get null for both.
+        function findRoutes(from, targets, hazards = []) {
+            const cost = hazardCosts(hazards, from);
+            const startIndex = snap(from, cost);
+            const goalCells = targets.map(target => (startIndex === -1 ? -1 : snap(target, cost)));
+            const goals = new Set(goalCells.filter(index => index !== -1));
+            const { dist, prev } = goals.size > 0 ? search(startIndex, cost, goals, true) : {};
+
+            return targets.map((target, i) => {
+                const goal = goalCells[i];
+                if (goal === -1 || dist[goal] === Infinity) return { target, primary: null, secondary: null };
+
+                const cells = cellPath(prev, goal);
+                return {
+                    target,
+                    primary: toRoute(cells, cost, from, target),
+                    secondary: alternativeRoute(startIndex, goal, cells, cost, from, target)
+                };
+            });
+        }
+
+        // Search again with the first route's corridor made expensive
+        function alternativeRoute(startIndex, goal, cells, cost, from, target) {
+            const corridor = new Uint8Array(cols * rows);
+            const reach = Math.ceil(ALTERNATIVE_CORRIDOR / cellSize);
+            cells.forEach(index => {
+                const col = index % cols;
+                const row = (index - col) / cols;
+                for (let r = row - reach; r <= row + reach; r++) {
+                    for (let c = col - reach; c <= col + reach; c++) {
+                        if (inGrid(c, r) && (c - col) ** 2 + (r - row) ** 2 <= reach * reach) corridor[r * cols + c] = 1;
+                    }
+                }
+            });
+
+            const penalized = cost.map((value, index) => (corridor[index] ? value * ALTERNATIVE_PENALTY : value));
+            const { prev } = search(startIndex, penalized, new Set([goal]));
+            const alternative = cellPath(prev, goal);
+
+            const shared = alternative.filter(index => corridor[index]).length / alternative.length;
+            return shared > MAX_SHARED ? null : toRoute(alternative, penalized, from, target);
+        }
+
+        function isWalkable(point) {
+            const col = toCol(point.x);
+            const row = toRow(point.z);
+            return inGrid(col, row) && !blocked[row * cols + col];
+        }
+
+        return { cellSize, findRoute, findRoutes, isWalkable };
+    }
+
+    // ============================================
+    // PRIORITY QUEUE
+    // ============================================
+
+    // Binary min-heap of cell indexes
+    function createHeap() {
+        const indexes = [];
+        const priorities = [];
+
+        function push(index, priority) {
+            let i = indexes.length;
+            indexes.push(index);
+            priorities.push(priority);
+            while (i > 0) {
+                const parent = (i - 1) >> 1;
+                if (priorities[parent] <= priorities[i]) break;
+                swap(i, parent);
+                i = parent;
+            }
+        }
+
+        function pop() {
+            const top = { index: indexes[0], priority: priorities[0] };
+            const lastIndex = indexes.pop();
+            const lastPriority = priorities.pop();
+            if (indexes.length > 0) {
+                indexes[0] = lastIndex;
+                priorities[0] = lastPriority;
+                let i = 0;
+                for (;;) {
+                    const left = 2 * i + 1, right = left + 1;
+                    let smallest = i;
+                    if (left < indexes.length && priorities[left] < priorities[smallest]) smallest = left;
+                    if (right < indexes.length && priorities[right] < priorities[smallest]) smallest = right;
+                    if (smallest === i) break;
+                    swap(i, smallest);
+                    i = smallest;
+                }
+            }
+            return top;
+        }
+
+        function swap(a, b) {
+            [indexes[a], indexes[b]] = [indexes[b], indexes[a]];
+            [priorities[a], priorities[b]] = [priorities[b], priorities[a]];
+        }
+
+        return { push, pop, size: () => indexes.length };
+    }
+
+    return { createNavGraph };
+})();
+
+// The server plans evacuation routes on the same grid
+if (typeof module !== 'undefined') module.exports = MineNavigation;
@@ -0,0 +1,387 @@
+// AR Mine Safety - QR Code Generator
+// Minimal QR encoder (byte mode, error correction level M, versions 1-10)
+// so the display can show pairing codes without loading anything from a CDN.
+//
+// Usage: QRCode.drawToCanvas(canvas, 'text', { scale: 4 })
+
+const QRCode = (function () {
+    // Per version (index = version): EC codewords per block and number of blocks at level M
+    const ECC_PER_BLOCK = [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26];
+    const NUM_BLOCKS = [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5];
+    const MAX_VERSION = 10;
+    const ECC_LEVEL_BITS = 0; // level M
+
+    // ============================================
+    // CAPACITY
+    // ============================================
+    function numRawDataModules(version) {
+        let result = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const numAlign = Math.floor(version / 7) + 2;
+            result -= (25 * numAlign - 10) * numAlign - 55;
+            if (version >= 7) result -= 36;
+        }
+        return result;
+    }
+
+    function numDataCodewords(version) {
+        return Math.floor(numRawDataModules(version) / 8) - ECC_PER_BLOCK[version] * NUM_BLOCKS[version];
+    }
+
+    function chooseVersion(byteLength) {
+        for (let version = 1; version <= MAX_VERSION; version++) {
+            const countBits = version <= 9 ? 8 : 16;
+            if (4 + countBits + byteLength * 8 <= numDataCodewords(version) * 8) return version;
+        }
+        throw new Error('Text too long for QR code');
+    }
+
+    // ============================================
+    // DATA ENCODING
+    // ============================================
+    function encodeData(bytes, version) {
+        const bits = [];
+        const push = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+        };
+
+        push(0x4, 4); // byte mode
+        push(bytes.length, version <= 9 ? 8 : 16);
+        bytes.forEach(b => push(b, 8));
+
+        // Terminator, byte alignment, then alternating pad bytes
+        const capacity = numDataCodewords(version) * 8;
+        push(0, Math.min(4, capacity - bits.length));
+        push(0, (8 - bits.length % 8) % 8);
+        for (let pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) {
+            push(pad, 8);
+        }
+
+        const codewords = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            codewords.push(bits.slice(i, i + 8).reduce((acc, bit) => (acc << 1) | bit, 0));
+        }
+        return codewords;
+    }
+
+    // ============================================
+    // REED-SOLOMON ERROR CORRECTION
+    // ============================================
+    function gfMultiply(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11D);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    }
+
+    function rsDivisor(degree) {
+        const result = new Array(degree).fill(0);
+        result[degree - 1] = 1;
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < degree; j++) {
+                result[j] = gfMultiply(result[j], root);
+                if (j + 1 < degree) result[j] ^= result[j + 1];
+            }
+            root = gfMultiply(root, 0x02);
+        }
+        return result;
+    }
+
+    function rsRemainder(data, divisor) {
+        const result = divisor.map(() => 0);
+        data.forEach(b => {
+            const factor = b ^ result.shift();
+            result.push(0);
+            divisor.forEach((coef, i) => {
+                result[i] ^= gfMultiply(coef, factor);
+            });
+        });
+        return result;
+    }
+
+    // Split data into blocks, append EC codewords and interleave
+    function addErrorCorrection(data, version) {
+        const numBlocks = NUM_BLOCKS[version];
+        const eccLength = ECC_PER_BLOCK[version];
+        const rawCodewords = Math.floor(numRawDataModules(version) / 8);
+        const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+        const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+        const divisor = rsDivisor(eccLength);
+
+        const blocks = [];
+        for (let i = 0, offset = 0; i < numBlocks; i++) {
+            const dataLength = shortBlockLength - eccLength + (i < numShortBlocks ? 0 : 1);
+            const block = data.slice(offset, offset + dataLength);
+            offset += dataLength;
+            const ecc = rsRemainder(block, divisor);
+            if (i < numShortBlocks) block.push(0);
+            blocks.push(block.concat(ecc));
+        }
+
+        const result = [];
+        for (let i = 0; i < blocks[0].length; i++) {
+            blocks.forEach((block, j) => {
+                // Skip the padding byte of short blocks
+                if (i !== shortBlockLength - eccLength || j >= numShortBlocks) result.push(block[i]);
+            });
+        }
+        return result;
+    }
+
+    // ============================================
+    // MATRIX
+    // ============================================
+    function createMatrix(version) {
+        const size = version * 4 + 17;
+        const modules = [];
+        const isFunction = [];
+        for (let y = 0; y < size; y++) {
+            modules.push(new Array(size).fill(false));
+            isFunction.push(new Array(size).fill(false));
+        }
+
+        const setFunction = (x, y, dark) => {
+            modules[y][x] = dark;
+            isFunction[y][x] = true;
+        };
+
+        return { version, size, modules, isFunction, setFunction };
+    }
+
+    function alignmentPositions(version) {
+        if (version === 1) return [];
+        const size = version * 4 + 17;
+        const numAlign = Math.floor(version / 7) + 2;
+        const step = Math.ceil((version * 4 + 4) / (numAlign * 2 - 2)) * 2;
+        const result = [6];
+        for (let pos = size - 7; result.length < numAlign; pos -= step) {
+            result.splice(1, 0, pos);
+        }
+        return result;
+    }
+
+    function drawFunctionPatterns(matrix) {
+        const { version, size, setFunction } = matrix;
+
+        // Timing patterns
+        for (let i = 0; i < size; i++) {
+            setFunction(6, i, i % 2 === 0);
+            setFunction(i, 6, i % 2 === 0);
+        }
+
+        // Finder patterns with separators
+        [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const x = cx + dx;
+                    const y = cy + dy;
+                    if (x < 0 || x >= size || y < 0 || y >= size) continue;
+                    const dist = Math.max(Math.abs(dx), Math.abs(dy));
+                    setFunction(x, y, dist !== 2 && dist !== 4);
+                }
+            }
+        });
+
+        // Alignment patterns (except where they would overlap finders)
+        const positions = alignmentPositions(version);
+        const last = positions.length - 1;
+        positions.forEach((cx, i) => {
+            positions.forEach((cy, j) => {
+                if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+                for (let dy = -2; dy <= 2; dy++) {
+                    for (let dx = -2; dx <= 2; dx++) {
+                        setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                    }
+                }
+            });
+        });
+
+        // Reserve format areas now; real bits are drawn once the mask is chosen
+        drawFormatBits(matrix, 0);
+        drawVersionBits(matrix);
+    }
+
+    function drawFormatBits(matrix, mask) {
+        const { size, setFunction } = matrix;
+        const data = (ECC_LEVEL_BITS << 3) | mask;
+        let rem = data;
+        for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+        const bits = ((data << 10) | rem) ^ 0x5412;
+        const bit = i => ((bits >>> i) & 1) !== 0;
+
+        // Copy next to the top-left finder
+        for (let i = 0; i <= 5; i++) setFunction(8, i, bit(i));
+        setFunction(8, 7, bit(6));
+        setFunction(8, 8, bit(7));
+        setFunction(7, 8, bit(8));
+        for (let i = 9; i < 15; i++) setFunction(14 - i, 8, bit(i));
+
+        // Copy split between the other two finders
+        for (let i = 0; i < 8; i++) setFunction(size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) setFunction(8, size - 15 + i, bit(i));
+        setFunction(8, size - 8, true); // always-dark module
+    }
+
+    function drawVersionBits(matrix) {
+        const { version, size, setFunction } = matrix;
+        if (version < 7) return;
+
+        let rem = version;
+        for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+        const bits = (version << 12) | rem;
+
+        for (let i = 0; i < 18; i++) {
+            const dark = ((bits >>> i) & 1) !== 0;
+            const a = size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            setFunction(a, b, dark);
+            setFunction(b, a, dark);
+        }
+    }
+
+    // Place codewords in the zig-zag column order
+    function drawCodewords(matrix, codewords) {
+        const { size, modules, isFunction } = matrix;
+        let i = 0;
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5; // skip the vertical timing pattern
+            const upward = ((right + 1) & 2) === 0;
+            for (let vert = 0; vert < size; vert++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const y = upward ? size - 1 - vert : vert;
+                    if (!isFunction[y][x] && i < codewords.length * 8) {
+                        modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+                        i++;
+                    }
+                }
+            }
+        }
+    }
+
+    // ============================================
+    // MASKING
+    // ============================================
+    const MASKS = [
+        (x, y) => (x + y) % 2 === 0,
+        (x, y) => y % 2 === 0,
+        (x, y) => x % 3 === 0,
+        (x, y) => (x + y) % 3 === 0,
+        (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+        (x, y) => x * y % 2 + x * y % 3 === 0,
+        (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+        (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+    ];
+
+    // XOR is its own inverse, so applying a mask twice removes it
+    function applyMask(matrix, mask) {
+        const { size, modules, isFunction } = matrix;
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (!isFunction[y][x] && MASKS[mask](x, y)) modules[y][x] = !modules[y][x];
+            }
+        }
+    }
+
+    // Standard penalty rules: long runs, 2x2 blocks, finder look-alikes, dark/light balance
+    function penaltyScore(matrix) {
+        const { size, modules } = matrix;
+        const FINDER_LIKE = ['10111010000', '00001011101'];
+        let score = 0;
+        let dark = 0;
+
+        for (let i = 0; i < size; i++) {
+            const row = modules[i];
+            const column = modules.map(r => r[i]);
+
+            [row, column].forEach(line => {
+                let run = 1;
+                for (let j = 1; j <= size; j++) {
+                    if (j < size && line[j] === line[j - 1]) {
+                        run++;
+                    } else {
+                        if (run >= 5) score += run - 2;
+                        run = 1;
+                    }
+                }
+
+                const text = line.map(m => (m ? '1' : '0')).join('');
+                FINDER_LIKE.forEach(pattern => {
+                    for (let at = text.indexOf(pattern); at !== -1; at = text.indexOf(pattern, at + 1)) {
+                        score += 40;
+                    }
+                });
+            });
+
+            row.forEach(m => { if (m) dark++; });
+        }
+
+        for (let y = 0; y < size - 1; y++) {
+            for (let x = 0; x < size - 1; x++) {
+                const m = modules[y][x];
+                if (m === modules[y][x + 1] && m === modules[y + 1][x] && m === modules[y + 1][x + 1]) score += 3;
+            }
+        }
+
+        const total = size * size;
+        score += Math.max(0, Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+        return score;
+    }
+
+    // ============================================
+    // PUBLIC API
+    // ============================================
+
+    // Encode text into a square matrix of booleans (true = dark)
+    function encode(text) {
+        const bytes = Array.from(new TextEncoder().encode(text));
+        const version = chooseVersion(bytes.length);
+        const codewords = addErrorCorrection(encodeData(bytes, version), version);
+
+        const matrix = createMatrix(version);
+        drawFunctionPatterns(matrix);
+        drawCodewords(matrix, codewords);
+
+        let bestMask = 0;
+        let bestScore = Infinity;
+        for (let mask = 0; mask < MASKS.length; mask++) {
+            applyMask(matrix, mask);
+            drawFormatBits(matrix, mask);
+            const score = penaltyScore(matrix);
+            if (score < bestScore) {
+                bestMask = mask;
+                bestScore = score;
+            }
+            applyMask(matrix, mask);
+        }
+        applyMask(matrix, bestMask);
+        drawFormatBits(matrix, bestMask);
+
+        return matrix.modules;
+    }
+
+    // Render text as a QR code onto a canvas, with the required quiet zone
+    function drawToCanvas(canvas, text, { scale = 4, margin = 4, dark = '#000000', light = '#ffffff' } = {}) {
+        const modules = encode(text);
+        const size = modules.length;
+        const pixels = (size + margin * 2) * scale;
+
+        canvas.width = pixels;
+        canvas.height = pixels;
+
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = light;
+        ctx.fillRect(0, 0, pixels, pixels);
+        ctx.fillStyle = dark;
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (modules[y][x]) ctx.fillRect((x + margin) * scale, (y + margin) * scale, scale, scale);
+            }
+        }
+    }
+
+    return { encode, drawToCanvas };
+})();
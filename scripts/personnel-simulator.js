@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+// AR Mine Safety Navigation System - Personnel Simulator
+// Walks a few workers between the rooms of a room's layout and posts their
+// positions over the same HTTP API a tracking feed would use.
+//
+//   node scripts/personnel-simulator.js --room 1234 --token ABCD-EFGH
+//
+//   --url <url>          server address (default http://localhost:3000)
+//   --room <code>        room to report to (required)
+//   --token <code>       the display's pairing code, traded for a session key
+//   --key <key>          a session key, instead of --token
+//   --workers <n>        number of workers (default 4)
+//   --interval <s>       seconds between position reports (default 2)
+//   --count <n>          stop after n rounds (default: run until Ctrl+C)
+
+const MineNavigation = require('../public/display/navigation');
+const { parseArgs, request, connect, getLayout } = require('./room-client');
+
+const NAMES = ['A. Costa', 'B. Okafor', 'C. Novak', 'D. Reyes', 'E. Lindqvist', 'F. Mensah', 'G. Tanaka', 'H. Walsh'];
+
+// Walking pace underground, meters per second
+const WALK_SPEED = 1.2;
+// Rounds a worker waits on arriving before heading somewhere else
+const PAUSE_ROUNDS = 3;
+
+// Pick another room and the walkable route there
+function planTrip(worker, nav, destinations) {
+    for (let attempt = 0; attempt < 5; attempt++) {
+        const destination = destinations[Math.floor(Math.random() * destinations.length)];
+        const route = nav.findRoute(worker.position, [destination], []);
+        if (route && route.length > 1) {
+            worker.route = route.points;
+            return;
+        }
+    }
+    worker.route = null;
+}
+
+// Move a worker distance meters along their route
+function walk(worker, distance) {
+    while (worker.route && worker.route.length > 0 && distance > 0) {
+        const next = worker.route[0];
+        const step = Math.hypot(next.x - worker.position.x, next.z - worker.position.z);
+        if (step <= distance) {
+            worker.position = { x: next.x, z: next.z };
+            worker.route.shift();
+            distance -= step;
+        } else {
+            const t = distance / step;
+            worker.position = {
+                x: worker.position.x + (next.x - worker.position.x) * t,
+                z: worker.position.z + (next.z - worker.position.z) * t
+            };
+            distance = 0;
+        }
+    }
+    if (worker.route && worker.route.length === 0) {
+        worker.route = null;
+        worker.pause = PAUSE_ROUNDS;
+    }
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2), { workers: 4, interval: 2 });
+    options.workers = Number(options.workers);
+    await connect(options, 'personnel-simulator.js');
+
+    const layout = await getLayout(options);
+    const nav = MineNavigation.createNavGraph(layout);
+    const destinations = (layout.rooms && layout.rooms.length > 0 ? layout.rooms : [{ center: { x: 0, z: 0 } }])
+        .map(room => ({ x: room.center.x, z: room.center.z }));
+
+    const workers = [];
+    for (let i = 0; i < options.workers; i++) {
+        const start = destinations[i % destinations.length];
+        workers.push({
+            workerId: `SIM-W${String(i + 1).padStart(2, '0')}`,
+            name: NAMES[i % NAMES.length],
+            position: { x: start.x, z: start.z },
+            route: null,
+            pause: i
+        });
+    }
+    console.log(`Tracking ${workers.map(w => w.name).join(', ')} every ${options.interval} s`);
+
+    for (let round = 1; options.count === undefined || round <= options.count; round++) {
+        for (const worker of workers) {
+            if (worker.pause > 0) {
+                worker.pause--;
+            } else {
+                if (!worker.route) planTrip(worker, nav, destinations);
+                walk(worker, WALK_SPEED * options.interval);
+            }
+
+            try {
+                await request(options, 'POST', `/workers/${worker.workerId}/position`, {
+                    name: worker.name,
+                    position: { x: Number(worker.position.x.toFixed(2)), z: Number(worker.position.z.toFixed(2)) }
+                });
+            } catch (e) {
+                console.warn(e.message);
+            }
+        }
+        if (options.count === undefined || round < options.count) {
+            await new Promise(resolve => setTimeout(resolve, options.interval * 1000));
+        }
+    }
+}
+
+main().catch(e => {
+    console.error(e.message);
+    process.exit(1);
+});
@@ -0,0 +1,53 @@
+// AR Mine Safety Navigation System - Room Client
+// Command line options and HTTP calls shared by the simulators in this folder
+
+// --name value pairs on top of the defaults; --url, --interval and --count are normalized
+function parseArgs(argv, defaults) {
+    const options = { url: 'http://localhost:3000', ...defaults };
+    for (let i = 0; i < argv.length; i += 2) {
+        const name = argv[i].replace(/^--/, '');
+        options[name] = argv[i + 1];
+    }
+    options.url = options.url.replace(/\/$/, '');
+    options.interval = Number(options.interval);
+    if (options.count !== undefined) options.count = Number(options.count);
+    return options;
+}
+
+// Call the room's REST API with the session key; throws the server's error
+async function request(options, method, path, body) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (options.key) headers['X-Session-Key'] = options.key;
+
+    const res = await fetch(`${options.url}/api/rooms/${options.room}${path}`, {
+        method,
+        headers,
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await res.json();
+    if (!data.success) throw new Error(`${method} ${path}: ${data.error}`);
+    return data;
+}
+
+// Check --room and --token / --key, and trade a --token for a session key
+async function connect(options, script) {
+    if (!/^\d{4}$/.test(options.room || '') || !(options.token || options.key)) {
+        console.error(`Usage: node scripts/${script} --room <code> (--token <pairing code> | --key <session key>)`);
+        process.exit(1);
+    }
+
+    if (!options.key) {
+        options.key = (await request(options, 'POST', '/pair', { token: options.token })).sessionKey;
+        console.log('Paired with room', options.room);
+    }
+}
+
+// The layout the room is assigned (or the default mine)
+async function getLayout(options) {
+    const { rooms } = await (await fetch(`${options.url}/api/rooms`)).json();
+    const room = rooms.find(r => r.roomId === options.room);
+    const res = await fetch(`${options.url}/api/layouts/${(room && room.layout) || 'default'}`);
+    return (await res.json()).layout;
+}
+
+module.exports = { parseArgs, request, connect, getLayout };
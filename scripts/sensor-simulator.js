@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+// AR Mine Safety Navigation System - Sensor Simulator
+// Posts realistic gas and climate readings for every sensor station in a room,
+// over the same HTTP API real stations use. Places a few stations first if the
+// room has none.
+//
+//   node scripts/sensor-simulator.js --room 1234 --token ABCD-EFGH
+//
+//   --url <url>          server address (default http://localhost:3000)
+//   --room <code>        room to report to (required)
+//   --token <code>       the display's pairing code, traded for a session key
+//   --key <key>          a session key, instead of --token
+//   --interval <s>       seconds between readings (default 5)
+//   --count <n>          stop after n rounds (default: run until Ctrl+C)
+//   --spike <stationId>  let methane build up at one station
+
+const { parseArgs, request, connect, getLayout } = require('./room-client');
+
+const DEFAULT_STATIONS = 4;
+
+// Typical readings in a ventilated coal mine, and how far each may wander
+const BASELINE = {
+    o2: { value: 20.9, noise: 0.05, min: 19.8, max: 20.95, digits: 2 },
+    ch4: { value: 0.25, noise: 0.03, min: 0.05, max: 0.45, digits: 3 },
+    co: { value: 4, noise: 0.8, min: 0, max: 12, digits: 1 },
+    temperature: { value: 27, noise: 0.15, min: 24, max: 32, digits: 1 }
+};
+
+// Methane added per round at a --spike station
+const SPIKE_STEP = 0.05;
+
+// Spread a few stations over the layout's rooms and tunnels
+async function placeStations(options) {
+    const layout = await getLayout(options);
+    const areas = layout && layout.rooms && layout.rooms.length > 0 ? layout.rooms : [{ center: { x: 0, z: 0 } }];
+    const count = Math.min(DEFAULT_STATIONS, areas.length);
+
+    const stations = [];
+    for (let i = 0; i < count; i++) {
+        const { center } = areas[Math.floor(i * areas.length / count)];
+        const stationId = `SIM-${String(i + 1).padStart(2, '0')}`;
+        const { annotation } = await request(options, 'POST', '/annotations', {
+            type: 'sensor',
+            stationId,
+            position: { x: center.x, y: 0, z: center.z },
+            label: `Simulated ${stationId}`,
+            depth: Math.round(150 + Math.abs(center.z) * 0.8)
+        });
+        console.log(`Placed ${stationId} at (${center.x}, ${center.z})`);
+        stations.push(annotation);
+    }
+    return stations;
+}
+
+// One step of a random walk that drifts back towards the baseline
+function wander(value, baseline) {
+    const next = value + (baseline.value - value) * 0.1 + (Math.random() * 2 - 1) * baseline.noise;
+    return Math.min(baseline.max, Math.max(baseline.min, next));
+}
+
+function nextReading(state, spiking) {
+    const values = {};
+    Object.keys(BASELINE).forEach(field => {
+        state[field] = wander(state[field], BASELINE[field]);
+        values[field] = Number(state[field].toFixed(BASELINE[field].digits));
+    });
+
+    if (spiking) {
+        state.spike = (state.spike || 0) + SPIKE_STEP;
+        values.ch4 = Number((values.ch4 + state.spike).toFixed(3));
+        // Methane displaces air, and with it oxygen
+        values.o2 = Number((values.o2 - state.spike * 0.2).toFixed(2));
+    }
+    return values;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2), { interval: 5 });
+    await connect(options, 'sensor-simulator.js');
+
+    let stations = (await request(options, 'GET', '/annotations')).annotations.filter(a => a.type === 'sensor');
+    if (stations.length === 0) stations = await placeStations(options);
+    console.log(`Reporting for ${stations.map(s => s.stationId).join(', ')} every ${options.interval} s`);
+
+    const states = new Map();
+    stations.forEach(station => {
+        const state = {};
+        Object.keys(BASELINE).forEach(field => { state[field] = BASELINE[field].value; });
+        states.set(station.stationId, state);
+    });
+
+    for (let round = 1; options.count === undefined || round <= options.count; round++) {
+        for (const [stationId, state] of states) {
+            const values = nextReading(state, stationId === options.spike);
+            try {
+                await request(options, 'POST', `/sensors/${encodeURIComponent(stationId)}/readings`, values);
+            } catch (e) {
+                console.warn(e.message);
+            }
+        }
+        if (options.count === undefined || round < options.count) {
+            await new Promise(resolve => setTimeout(resolve, options.interval * 1000));
+        }
+    }
+}
+
+main().catch(e => {
+    console.error(e.message);
+    process.exit(1);
+});
@@ -0,0 +1,137 @@
+// AR Mine Safety Navigation System - Gas Alarms
+// Compares sensor readings with per-gas thresholds and tracks each station's
+// alarm level. A level rises with the first reading that breaches a threshold,
+// but only falls once readings of that gas have stayed below it for the
+// hold-off period, so a value hovering around a threshold doesn't flap the alarm.
+
+const LEVELS = [null, 'warning', 'evacuate'];
+
+// Defaults for a room that hasn't set its own (percent by volume, CO in ppm).
+// Oxygen alarms when it falls to its thresholds, the other gases when they rise to theirs.
+const DEFAULT_THRESHOLDS = {
+    ch4: { warning: 1.0, evacuate: 1.25 },
+    co: { warning: 25, evacuate: 50 },
+    o2: { warning: 19.5, evacuate: 18.0 }
+};
+const FALLING = new Set(['o2']);
+const UNITS = { ch4: '%', co: 'ppm', o2: '%' };
+
+const rank = (level) => LEVELS.indexOf(level);
+
+// A room's overrides ({ ch4: { warning: 0.8 } }) on top of the defaults
+function mergeThresholds(overrides) {
+    const merged = {};
+    Object.keys(DEFAULT_THRESHOLDS).forEach(gas => {
+        merged[gas] = { ...DEFAULT_THRESHOLDS[gas], ...(overrides && overrides[gas]) };
+    });
+    return merged;
+}
+
+// Evacuate must be the more extreme of a gas's two values; returns an error message or null
+function thresholdOrderError(thresholds) {
+    for (const gas of Object.keys(thresholds)) {
+        const { warning, evacuate } = thresholds[gas];
+        if (FALLING.has(gas) ? evacuate > warning : evacuate < warning) {
+            return `${gas}.evacuate must be ${FALLING.has(gas) ? 'at or below' : 'at or above'} ${gas}.warning`;
+        }
+    }
+    return null;
+}
+
+// Thresholds a reading breaches, worst first: [{ gas, value, level, threshold }]
+function findBreaches(values, thresholds) {
+    const breaches = [];
+    Object.keys(thresholds).forEach(gas => {
+        const value = values[gas];
+        if (value === undefined) return;
+
+        const level = ['evacuate', 'warning'].find(candidate => {
+            const threshold = thresholds[gas][candidate];
+            return FALLING.has(gas) ? value <= threshold : value >= threshold;
+        });
+        if (level) breaches.push({ gas, value, level, threshold: thresholds[gas][level] });
+    });
+    return breaches.sort((a, b) => rank(b.level) - rank(a.level));
+}
+
+// The gases a station is held in alarm for, as breaches worst first
+function heldBreaches(state, thresholds) {
+    return Object.keys(state.gases)
+        .filter(gas => state.gases[gas].level)
+        .map(gas => {
+            const { level, value } = state.gases[gas];
+            return { gas, value, level, threshold: thresholds[gas][level] };
+        })
+        .sort((a, b) => rank(b.level) - rank(a.level));
+}
+
+function createAlarmEngine({ holdOff = 60000 } = {}) {
+    // "<roomId>/<stationId>" -> { level, gases: { <gas>: { level, value, belowSince } } }
+    // Each gas is held separately: a gas only counts toward clearing while the
+    // station reports it, so a station that stops sending CH4 stays in alarm for it.
+    const states = new Map();
+
+    // Feed a station's reading. Returns { level, previous, breaches } when its alarm
+    // level changes (level null: all clear), otherwise null. initialLevel seeds a
+    // station seen for the first time, e.g. one whose auto zone survived a restart,
+    // for initialGas (or, when that isn't known, for every gas in this reading).
+    function evaluate(roomId, stationId, values, thresholds, { now = Date.now(), initialLevel = null, initialGas = null } = {}) {
+        // A reading without any of the alarmed gases says nothing about them
+        const reported = Object.keys(thresholds).filter(gas => values[gas] !== undefined);
+        if (reported.length === 0) return null;
+
+        const key = `${roomId}/${stationId}`;
+        if (!states.has(key)) {
+            const gases = {};
+            if (initialLevel) {
+                (initialGas ? [initialGas] : reported).forEach(gas => {
+                    gases[gas] = { level: initialLevel, value: null, belowSince: null };
+                });
+            }
+            states.set(key, { level: initialLevel, gases });
+        }
+        const state = states.get(key);
+
+        const breaches = findBreaches(values, thresholds);
+        reported.forEach(gas => {
+            if (!state.gases[gas]) state.gases[gas] = { level: null, value: null, belowSince: null };
+            const held = state.gases[gas];
+            const breach = breaches.find(b => b.gas === gas);
+            const level = breach ? breach.level : null;
+
+            if (rank(level) >= rank(held.level)) {
+                held.belowSince = null;
+            } else {
+                if (held.belowSince === null) held.belowSince = now;
+                if (now - held.belowSince < holdOff) return;
+                held.belowSince = null;
+            }
+            held.level = level;
+            held.value = values[gas];
+        });
+
+        const held = heldBreaches(state, thresholds);
+        const level = held.length > 0 ? held[0].level : null;
+        if (level === state.level) return null;
+
+        const previous = state.level;
+        state.level = level;
+        return { level, previous, breaches: held };
+    }
+
+    // Drop a station's alarm state (it was removed from the room)
+    function forget(roomId, stationId) {
+        states.delete(`${roomId}/${stationId}`);
+    }
+
+    // Drop the alarm state of every station in a room (its annotations were cleared)
+    function forgetRoom(roomId) {
+        for (const key of states.keys()) {
+            if (key.startsWith(`${roomId}/`)) states.delete(key);
+        }
+    }
+
+    return { evaluate, forget, forgetRoom };
+}
+
+module.exports = { createAlarmEngine, mergeThresholds, thresholdOrderError, findBreaches, DEFAULT_THRESHOLDS, UNITS };
@@ -0,0 +1,22 @@
+// AR Mine Safety Navigation System - Evacuation Planner Worker
+// Runs the route searches of evacuation.js on a worker thread, so a slow plan
+// never holds up the server's sockets. Keeps a navigation grid per layout name;
+// the layout itself comes with the first request that needs it.
+
+const { parentPort } = require('worker_threads');
+const MineNavigation = require('../public/display/navigation');
+
+// Layout name -> { layout, graph }
+const graphs = new Map();
+
+parentPort.on('message', ({ id, layoutName, layout, position, hazards }) => {
+    try {
+        if (layout) graphs.set(layoutName, { layout, graph: MineNavigation.createNavGraph(layout) });
+
+        const loaded = graphs.get(layoutName);
+        const routes = loaded.graph.findRoutes(position, loaded.layout.exits || [], hazards);
+        parentPort.postMessage({ id, routes });
+    } catch (e) {
+        parentPort.postMessage({ id, error: e.message });
+    }
+});
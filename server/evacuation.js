@@ -0,0 +1,161 @@
+// AR Mine Safety Navigation System - Evacuation Planner
+// Routes from a worker's position to every exit and refuge of a mine layout,
+// around the room's danger and restricted zones. Plans on the display's
+// navigation grid (public/display/navigation.js), so they match its exit guide.
+// The searches run on a worker thread (evacuation-worker.js).
+
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+// Walking pace in a dark, uneven tunnel, for the estimated walk times
+const WALK_SPEED = 1.0; // m/s
+
+// Planning takes a few hundred milliseconds on a large layout, so plans are
+// shared: workers within the same PLAN_BUCKET square get the plan made for the
+// first of them, until the hazards change.
+const PLAN_BUCKET = 1; // meters
+const PLAN_CACHE_SIZE = 200;
+// Plans waiting for the worker thread; further requests fail with code 'BUSY'
+// instead of queueing up behind them
+const MAX_QUEUED_PLANS = 20;
+
+// Danger zones are avoided; active restricted zones are never entered
+function isHazard(annotation) {
+    return annotation.type === 'danger' || (annotation.type === 'restricted' && annotation.active !== false);
+}
+
+// Changes whenever a hazard is added, removed or edited
+function hazardKey(annotations) {
+    return annotations.filter(isHazard).map(a => `${a.id}:${a.version || 1}`).join(',');
+}
+
+const round = (value) => Math.round(value * 10) / 10;
+
+function createEvacuationPlanner({ getLayout }) {
+    // Layout name -> promise of the layout. Stored layouts never change under
+    // the same name, so each is only read once (and its grid built once per worker).
+    const layouts = new Map();
+    // "<layout>|<hazardKey>|<bucket>" -> promise of a plan, least recently used first
+    const plans = new Map();
+
+    let worker = null;
+    let workerLayouts = new Set(); // layout names the current worker has a grid for
+    const pending = new Map();     // request id -> { resolve, reject, layoutName }
+    let nextRequestId = 1;
+
+    function load(name) {
+        if (!layouts.has(name)) {
+            const loading = getLayout(name).then(layout => {
+                if (!layout) layouts.delete(name);
+                return layout;
+            });
+            loading.catch(() => layouts.delete(name));
+            layouts.set(name, loading);
+        }
+        return layouts.get(name);
+    }
+
+    // A worker that crashes fails the plans it had; the next plan starts a new one
+    function startWorker() {
+        const started = new Worker(path.join(__dirname, 'evacuation-worker.js'));
+        started.on('message', ({ id, routes, error }) => {
+            const request = pending.get(id);
+            pending.delete(id);
+            if (error) {
+                // Send the layout again next time, in case its grid is what failed
+                workerLayouts.delete(request.layoutName);
+                request.reject(new Error(error));
+            } else {
+                request.resolve(routes);
+            }
+            if (pending.size === 0) started.unref();
+        });
+        started.on('error', e => console.error('Evacuation planner worker failed:', e));
+        started.on('exit', () => {
+            if (worker !== started) return;
+            worker = null;
+            pending.forEach(request => request.reject(new Error('Evacuation planner worker stopped')));
+            pending.clear();
+        });
+        worker = started;
+        workerLayouts = new Set();
+    }
+
+    function findRoutes(layoutName, layout, position, hazards) {
+        if (pending.size >= MAX_QUEUED_PLANS) {
+            const error = new Error('Too many evacuation plans in progress');
+            error.code = 'BUSY';
+            return Promise.reject(error);
+        }
+        if (!worker) startWorker();
+
+        const id = nextRequestId++;
+        const request = { id, layoutName, position, hazards };
+        if (!workerLayouts.has(layoutName)) {
+            request.layout = layout;
+            workerLayouts.add(layoutName);
+        }
+        // The worker only keeps the process alive while it has plans to make
+        return new Promise((resolve, reject) => {
+            pending.set(id, { resolve, reject, layoutName });
+            worker.ref();
+            worker.postMessage(request);
+        });
+    }
+
+    function describe(route) {
+        if (!route) return null;
+        return {
+            points: route.points.map(p => ({ x: round(p.x), z: round(p.z) })),
+            length: round(route.length),
+            walkTime: Math.round(route.length / WALK_SPEED) // seconds
+        };
+    }
+
+    // Plan from a position in the named layout; null if there is no such layout.
+    // Routes are sorted by primary length, with unreachable exits (null routes) last.
+    function plan(layoutName, position, annotations) {
+        const bucket = `${Math.floor(position.x / PLAN_BUCKET)},${Math.floor(position.z / PLAN_BUCKET)}`;
+        const key = `${layoutName}|${hazardKey(annotations)}|${bucket}`;
+
+        if (plans.has(key)) {
+            const cached = plans.get(key);
+            plans.delete(key);
+            plans.set(key, cached);
+            return cached;
+        }
+
+        const planning = planRoutes(layoutName, position, annotations);
+        planning.then(result => { if (!result) plans.delete(key); }, () => plans.delete(key));
+        plans.set(key, planning);
+        if (plans.size > PLAN_CACHE_SIZE) plans.delete(plans.keys().next().value);
+        return planning;
+    }
+
+    async function planRoutes(layoutName, position, annotations) {
+        const layout = await load(layoutName);
+        if (!layout) return null;
+
+        const hazards = annotations.filter(isHazard);
+        const primaryLength = (route) => (route.primary ? route.primary.length : Infinity);
+        const routes = (await findRoutes(layoutName, layout, { x: position.x, z: position.z }, hazards))
+            .map(({ target, primary, secondary }) => ({
+                exit: { label: target.label || null, kind: target.kind || 'exit', x: target.x, z: target.z },
+                primary: describe(primary),
+                secondary: describe(secondary)
+            }))
+            .sort((a, b) => (primaryLength(a) === primaryLength(b) ? 0 : primaryLength(a) - primaryLength(b)));
+
+        return {
+            layout: layoutName,
+            position: { x: position.x, z: position.z },
+            hazardCount: hazards.length,
+            routes,
+            plannedAt: new Date().toISOString()
+        };
+    }
+
+    return { plan };
+}
+
+module.exports = { createEvacuationPlanner, isHazard, hazardKey, WALK_SPEED };
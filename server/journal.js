@@ -0,0 +1,204 @@
+// AR Mine Safety Navigation System - Room Journal
+// Append-only event log per room, with periodic compacted snapshots
+//
+// data/room_<code>.journal.jsonl  one JSON entry per line: { seq, ts, actor, op, payload }
+// data/room_<code>.json           latest snapshot: { createdAt, annotations, sessionKeys, clientIds, layout, thresholds, seq, snapshotAt }
+//
+// Room state is rebuilt by loading the snapshot and replaying journal entries
+// with a higher seq. The journal itself is never rewritten, so it doubles as an
+// audit trail of who changed what and when.
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOM_FILE = /^room_(\d{4})\.(json|journal\.jsonl)$/;
+
+// Apply one journal entry to a room state ({ createdAt, annotations, sessionKeys, clientIds, layout, thresholds })
+function applyEntry(state, entry) {
+    const { op, payload } = entry;
+
+    switch (op) {
+        case 'create-room':
+            state.createdAt = payload.createdAt;
+            break;
+        case 'add': {
+            const index = payload.index !== undefined ? payload.index : state.annotations.length;
+            state.annotations.splice(Math.min(index, state.annotations.length), 0, payload.annotation);
+            if (payload.clientId) state.clientIds.push(payload.clientId);
+            break;
+        }
+        case 'update': {
+            const index = state.annotations.findIndex(a => a.id === payload.annotation.id);
+            if (index !== -1) state.annotations[index] = payload.annotation;
+            break;
+        }
+        case 'remove':
+            state.annotations = state.annotations.filter(a => a.id !== payload.id);
+            break;
+        case 'clear':
+            state.annotations = [];
+            break;
+        case 'pair':
+            // Only a hash of the session key is ever written to disk
+            state.sessionKeys.push({ keyHash: payload.keyHash, deviceType: payload.deviceType || null });
+            break;
+        case 'set-layout':
+            state.layout = payload.name;
+            break;
+        case 'set-thresholds':
+            state.thresholds = payload.thresholds;
+            break;
+    }
+}
+
+function createJournal({ dataDir, snapshotInterval = 100, getSnapshot }) {
+    const streams = new Map();   // roomId -> append stream
+    const seqs = new Map();      // roomId -> last written seq
+    const snapshotWrites = new Map(); // roomId -> pending snapshot write
+
+    const snapshotPath = roomId => path.join(dataDir, `room_${roomId}.json`);
+    const journalPath = roomId => path.join(dataDir, `room_${roomId}.journal.jsonl`);
+
+    function getStream(roomId) {
+        if (!streams.has(roomId)) {
+            const stream = fs.createWriteStream(journalPath(roomId), { flags: 'a' });
+            stream.on('error', err => console.error(`Journal write error for room ${roomId}:`, err));
+            streams.set(roomId, stream);
+        }
+        return streams.get(roomId);
+    }
+
+    // Append an entry; writes are queued on the stream so they stay ordered
+    function append(roomId, actor, op, payload) {
+        const seq = (seqs.get(roomId) || 0) + 1;
+        seqs.set(roomId, seq);
+
+        const entry = { seq, ts: new Date().toISOString(), actor, op, payload };
+        getStream(roomId).write(JSON.stringify(entry) + '\n');
+
+        if (seq % snapshotInterval === 0) {
+            writeSnapshot(roomId);
+        }
+        return entry;
+    }
+
+    // Write the current room state as a snapshot (via a temp file so a crash can't truncate it)
+    function writeSnapshot(roomId) {
+        const snapshot = {
+            ...getSnapshot(roomId),
+            seq: seqs.get(roomId) || 0,
+            snapshotAt: new Date().toISOString()
+        };
+        const data = JSON.stringify(snapshot, null, 2);
+        const target = snapshotPath(roomId);
+        const tmp = `${target}.tmp`;
+
+        const previous = snapshotWrites.get(roomId) || Promise.resolve();
+        const write = previous
+            .then(() => fs.promises.writeFile(tmp, data))
+            .then(() => fs.promises.rename(tmp, target))
+            .catch(err => console.error(`Snapshot error for room ${roomId}:`, err));
+        snapshotWrites.set(roomId, write);
+        return write;
+    }
+
+    function readSnapshot(roomId) {
+        const filePath = snapshotPath(roomId);
+        if (!fs.existsSync(filePath)) return null;
+
+        try {
+            return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (e) {
+            console.error(`Error loading snapshot for room ${roomId}:`, e);
+            return null;
+        }
+    }
+
+    // Parse journal text, skipping a torn last line from a crash
+    function parseEntries(roomId, text) {
+        const entries = [];
+        text.split('\n').forEach((line, i) => {
+            if (!line.trim()) return;
+            try {
+                entries.push(JSON.parse(line));
+            } catch (e) {
+                console.warn(`Skipping unreadable journal line ${i + 1} for room ${roomId}`);
+            }
+        });
+        return entries;
+    }
+
+    function readEntries(roomId) {
+        const filePath = journalPath(roomId);
+        if (!fs.existsSync(filePath)) return [];
+
+        const text = fs.readFileSync(filePath, 'utf8');
+        // Terminate a torn last line so the next append starts on a fresh line
+        if (text && !text.endsWith('\n')) {
+            fs.appendFileSync(filePath, '\n');
+        }
+        return parseEntries(roomId, text);
+    }
+
+    // Rebuild one room's state from its snapshot plus newer journal entries
+    function replay(roomId) {
+        const snapshot = readSnapshot(roomId);
+        const entries = readEntries(roomId);
+        if (!snapshot && entries.length === 0) return null;
+
+        // Room files written before the journal existed have no seq
+        const state = {
+            createdAt: snapshot ? snapshot.createdAt : null,
+            annotations: snapshot && Array.isArray(snapshot.annotations) ? snapshot.annotations : [],
+            // Older snapshots list bare key hashes, without the device they were issued to
+            sessionKeys: snapshot && Array.isArray(snapshot.sessionKeys)
+                ? snapshot.sessionKeys.map(k => (typeof k === 'string' ? { keyHash: k, deviceType: null } : k))
+                : [],
+            clientIds: snapshot && Array.isArray(snapshot.clientIds) ? snapshot.clientIds : [],
+            layout: snapshot && snapshot.layout ? snapshot.layout : null,
+            thresholds: snapshot && snapshot.thresholds ? snapshot.thresholds : null
+        };
+        let seq = snapshot && snapshot.seq ? snapshot.seq : 0;
+
+        entries.forEach(entry => {
+            if (entry.seq <= seq) return;
+            applyEntry(state, entry);
+            seq = entry.seq;
+        });
+
+        seqs.set(roomId, seq);
+        return state;
+    }
+
+    // Rebuild every room found in the data directory
+    function loadAll() {
+        const roomIds = new Set();
+        fs.readdirSync(dataDir).forEach(file => {
+            const match = file.match(ROOM_FILE);
+            if (match) roomIds.add(match[1]);
+        });
+
+        const restored = new Map();
+        roomIds.forEach(roomId => {
+            const state = replay(roomId);
+            if (state) restored.set(roomId, state);
+        });
+        return restored;
+    }
+
+    // Journal entries for the audit trail, optionally only those after a given seq
+    async function auditTrail(roomId, sinceSeq = 0) {
+        let text;
+        try {
+            text = await fs.promises.readFile(journalPath(roomId), 'utf8');
+        } catch (e) {
+            if (e.code === 'ENOENT') return [];
+            throw e;
+        }
+        return parseEntries(roomId, text).filter(entry => entry.seq > sinceSeq);
+    }
+
+    return { append, writeSnapshot, loadAll, auditTrail };
+}
+
+module.exports = { createJournal, applyEntry };
@@ -0,0 +1,84 @@
+// AR Mine Safety Navigation System - Layout Store
+// Mine layouts in the blueprint converter's export format:
+// { name, settings: { wallHeight }, walls, rooms, bounds, ... }
+//
+// layouts/<name>.json              layouts shipped with the app (default.json is the demo mine)
+// data/layouts/upload-<hash>.json  layouts sent from the converter
+//
+// A layout is addressed by its file name without the extension. Uploads are
+// named after a hash of their content, so they never change once written and
+// sending the same layout twice stores it once.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const LAYOUT_NAME = /^[A-Za-z0-9_-]{1,64}$/;
+
+function createLayoutStore({ builtinDir, uploadDir }) {
+    const dirs = [builtinDir, uploadDir];
+    const layoutPath = (dir, name) => path.join(dir, `${name}.json`);
+
+    fs.mkdirSync(uploadDir, { recursive: true });
+
+    async function get(name) {
+        if (!LAYOUT_NAME.test(name)) return null;
+
+        for (const dir of dirs) {
+            try {
+                return JSON.parse(await fs.promises.readFile(layoutPath(dir, name), 'utf8'));
+            } catch (e) {
+                if (e.code !== 'ENOENT') throw e;
+            }
+        }
+        return null;
+    }
+
+    // Store an uploaded layout and return its name
+    async function save(layout) {
+        const data = JSON.stringify(layout, null, 2);
+        const hash = crypto.createHash('sha256').update(data).digest('hex').slice(0, 12);
+        const name = `upload-${hash}`;
+        const target = layoutPath(uploadDir, name);
+
+        if (!fs.existsSync(target)) {
+            // Via a temp file so a crash can't leave a truncated layout behind
+            await fs.promises.writeFile(`${target}.tmp`, data);
+            await fs.promises.rename(`${target}.tmp`, target);
+        }
+        return name;
+    }
+
+    // Summaries of every stored layout (the geometry itself is only sent by get())
+    async function list() {
+        const summaries = [];
+
+        for (const dir of dirs) {
+            const names = (await fs.promises.readdir(dir))
+                .filter(file => file.endsWith('.json'))
+                .map(file => file.slice(0, -'.json'.length))
+                .filter(name => LAYOUT_NAME.test(name))
+                .sort();
+
+            for (const name of names) {
+                try {
+                    const layout = JSON.parse(await fs.promises.readFile(layoutPath(dir, name), 'utf8'));
+                    summaries.push({
+                        name,
+                        title: layout.name || name,
+                        uploaded: dir === uploadDir,
+                        wallCount: (layout.walls || []).length,
+                        roomCount: (layout.rooms || []).length
+                    });
+                } catch (e) {
+                    console.warn(`Skipping unreadable layout ${name}:`, e.message);
+                }
+            }
+        }
+        return summaries;
+    }
+
+    return { get, save, list };
+}
+
+module.exports = { createLayoutStore, LAYOUT_NAME };
@@ -0,0 +1,307 @@
+// AR Mine Safety Navigation System - Payload Schemas
+// Declared shapes for every inbound Socket.IO event and annotation type.
+// validate() returns an error message for the first problem found, or null.
+
+// ============================================
+// SCHEMA BUILDERS
+// ============================================
+const number = (min = -Infinity, max = Infinity) => ({ type: 'number', min, max });
+const string = (maxLength, extra = {}) => ({ type: 'string', maxLength, ...extra });
+const boolean = () => ({ type: 'boolean' });
+const oneOfValues = (...values) => ({ type: 'string', enum: values });
+const object = (properties) => ({ type: 'object', properties });
+const array = (items, minItems, maxItems) => ({ type: 'array', items, minItems, maxItems });
+const optional = (schema) => ({ ...schema, optional: true });
+
+// Every field optional, for partial updates
+function partial(schema) {
+    const properties = {};
+    Object.keys(schema.properties).forEach(key => {
+        properties[key] = optional(schema.properties[key]);
+    });
+    return object(properties);
+}
+
+// ============================================
+// SHARED SHAPES
+// ============================================
+
+// World coordinates in meters; generous enough for converter-generated mines
+const COORDINATE = number(-1000, 1000);
+const POINT = object({ x: COORDINATE, y: optional(COORDINATE), z: COORDINATE });
+const FLOOR_POINT = object({ x: COORDINATE, z: COORDINATE });
+const ROOM_ID = string(4, { pattern: /^\d{4}$/ });
+const ANNOTATION_ID = string(64);
+const LABEL = string(64);
+const ROOM_ONLY = object({ roomId: ROOM_ID });
+// Typed tokens may contain spaces or dashes; the server normalizes them
+const PAIRING_TOKEN = string(16);
+const SESSION_KEY = string(48, { pattern: /^[0-9a-f]{48}$/ });
+const STATION_ID = string(32, { pattern: /^[\w-]+$/ });
+const WORKER_ID = string(32, { pattern: /^[\w-]+$/ });
+
+// Gas and climate values a sensor station reports (percent by volume, ppm, °C)
+const SENSOR_VALUES = {
+    o2: optional(number(0, 100)),
+    ch4: optional(number(0, 100)),
+    co: optional(number(0, 10000)),
+    temperature: optional(number(-50, 150))
+};
+
+// Where a tracked worker is; name defaults to the one last reported (or the worker id)
+const WORKER_POSITION = object({ workerId: WORKER_ID, name: optional(LABEL), position: POINT });
+
+// Client-settable fields per annotation type (matches ANNOTATION_FIELDS in server.js)
+const ANNOTATION_SCHEMAS = {
+    danger: object({
+        position: POINT,
+        radius: optional(number(0.5, 100)),
+        label: optional(LABEL)
+    }),
+    // Either start and end, or (a route arrow) waypoints; see arrowEndsError
+    arrow: object({
+        start: optional(POINT),
+        end: optional(POINT),
+        label: optional(LABEL),
+        // Route arrows: every point in walking order; the first and last are its start and end
+        waypoints: optional(array(POINT, 2, 50))
+    }),
+    incident: object({
+        position: POINT,
+        // Empty date means "today"
+        date: optional(string(10, { pattern: /^(\d{4}-\d{2}-\d{2})?$/ })),
+        description: optional(string(500)),
+        severity: optional(oneOfValues('low', 'medium', 'high'))
+    }),
+    restricted: object({
+        vertices: array(FLOOR_POINT, 3, 50),
+        active: optional(boolean()),
+        // Warn on entry instead of blocking it
+        warnOnly: optional(boolean())
+    }),
+    sensor: object({
+        // Readings are addressed to the station by this id, unique within a room
+        stationId: STATION_ID,
+        position: POINT,
+        label: optional(LABEL),
+        // Below the surface, in meters
+        depth: optional(number(0, 5000))
+    })
+};
+
+// Gas alarm thresholds a room may override (see alarms.js); missing values keep the default
+const GAS_THRESHOLD = optional(object({ warning: optional(number(0, 10000)), evacuate: optional(number(0, 10000)) }));
+const THRESHOLDS_SCHEMA = object({ ch4: GAS_THRESHOLD, co: GAS_THRESHOLD, o2: GAS_THRESHOLD });
+
+// Mine layouts in the blueprint converter's export format (see layouts.js)
+const WALL_HEIGHT = number(0.5, 50);
+const EXTENT = number(0, 2000);
+const LAYOUT_SCHEMA = object({
+    name: optional(LABEL),
+    settings: optional(object({ wallHeight: optional(WALL_HEIGHT), scale: optional(number(0, 100)) })),
+    walls: array(object({ start: FLOOR_POINT, end: FLOOR_POINT, height: optional(WALL_HEIGHT) }), 1, 5000),
+    rooms: optional(array(object({ center: FLOOR_POINT, width: EXTENT, depth: EXTENT }), 0, 1000)),
+    bounds: optional(object({ minX: COORDINATE, maxX: COORDINATE, minZ: COORDINATE, maxZ: COORDINATE })),
+    spawn: optional(FLOOR_POINT),
+    pillars: optional(array(FLOOR_POINT, 0, 500)),
+    // Every light casts shadows, so keep the count low
+    lights: optional(array(FLOOR_POINT, 0, 32)),
+    equipment: optional(array(FLOOR_POINT, 0, 100)),
+    rails: optional(array(object({ start: FLOOR_POINT, end: FLOOR_POINT }), 0, 200)),
+    // Where the exit guide leads: ways out of the mine and refuge chambers
+    exits: optional(array(object({
+        x: COORDINATE,
+        z: COORDINATE,
+        label: optional(LABEL),
+        kind: optional(oneOfValues('exit', 'refuge'))
+    }), 0, 100))
+});
+
+// Adds may carry a client-generated id so a replayed offline action is applied once
+const CLIENT_ID = string(64, { pattern: /^[\w-]{8,64}$/ });
+const addEvent = (schema) => object({ roomId: ROOM_ID, clientId: optional(CLIENT_ID), ...schema.properties });
+
+// ============================================
+// EVENT SCHEMAS
+// ============================================
+
+// null means the event carries no payload (only an acknowledgement callback)
+const EVENT_SCHEMAS = {
+    'create-room': null,
+    'join-room': object({ roomId: ROOM_ID, token: PAIRING_TOKEN, name: optional(string(32)) }),
+    'join-spectator': ROOM_ONLY,
+    'reclaim-room': object({ roomId: ROOM_ID, token: PAIRING_TOKEN }),
+    'reconnect-room': object({
+        roomId: ROOM_ID,
+        deviceType: oneOfValues('display', 'controller'),
+        sessionKey: SESSION_KEY,
+        name: optional(string(32))
+    }),
+    'tablet-movement': object({
+        roomId: ROOM_ID,
+        rotation: object({ alpha: number(-360, 360), beta: number(-360, 360), gamma: number(-360, 360) }),
+        speed: number(0, 1)
+    }),
+    'touch-movement': object({
+        roomId: ROOM_ID,
+        movement: object({ forward: number(-2, 2), right: number(-2, 2), lookX: number(-1, 1), lookY: number(-1, 1) }),
+        isRunning: optional(boolean())
+    }),
+    'toggle-flashlight': ROOM_ONLY,
+    'add-danger-zone': addEvent(ANNOTATION_SCHEMAS.danger),
+    'add-arrow': addEvent(ANNOTATION_SCHEMAS.arrow),
+    'add-incident': addEvent(ANNOTATION_SCHEMAS.incident),
+    'add-restricted-zone': addEvent(ANNOTATION_SCHEMAS.restricted),
+    'add-sensor-station': addEvent(ANNOTATION_SCHEMAS.sensor),
+    // changes are checked against the annotation's own type once it is looked up
+    'update-annotation': object({ roomId: ROOM_ID, annotationId: ANNOTATION_ID, changes: object({}) }),
+    'remove-annotation': object({ roomId: ROOM_ID, annotationId: ANNOTATION_ID }),
+    'clear-annotations': ROOM_ONLY,
+    'undo': ROOM_ONLY,
+    'redo': ROOM_ONLY,
+    'camera-position': object({
+        roomId: ROOM_ID,
+        position: POINT,
+        rotation: optional(object({ x: number(), y: number() }))
+    }),
+    // Placement previews: the display raycasts from screen center for the controller that asked
+    'request-placement': object({
+        roomId: ROOM_ID,
+        type: optional(oneOfValues('danger', 'incident', 'sensor')),
+        radius: optional(number(0.5, 100))
+    }),
+    'placement-position': object({
+        roomId: ROOM_ID,
+        position: POINT,
+        normal: optional(object({ x: number(-1, 1), y: number(-1, 1), z: number(-1, 1) })),
+        surface: optional(oneOfValues('floor', 'wall', 'pillar')),
+        anchor: optional(POINT),
+        controllerId: optional(string(64))
+    }),
+    'end-placement': ROOM_ONLY,
+    // Evacuation routes from a worker's position (see evacuation.js)
+    'request-evacuation-plan': object({ roomId: ROOM_ID, position: FLOOR_POINT }),
+    'stop-evacuation-plan': ROOM_ONLY,
+    // A reading from a sensor station (see validateReading)
+    'sensor-reading': object({ roomId: ROOM_ID, stationId: STATION_ID, ...SENSOR_VALUES }),
+    // A tracked worker's position (see validateWorkerPosition)
+    'worker-position': object({ roomId: ROOM_ID, ...WORKER_POSITION.properties })
+};
+
+// ============================================
+// VALIDATION
+// ============================================
+function validate(schema, value, path = 'payload') {
+    if (value === undefined || value === null) {
+        return schema.optional ? null : `${path} is required`;
+    }
+
+    switch (schema.type) {
+        case 'number':
+            if (typeof value !== 'number' || !Number.isFinite(value)) return `${path} must be a number`;
+            if (value < schema.min || value > schema.max) {
+                return `${path} must be between ${schema.min} and ${schema.max}`;
+            }
+            return null;
+
+        case 'string':
+            if (typeof value !== 'string') return `${path} must be a string`;
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                return `${path} must be at most ${schema.maxLength} characters`;
+            }
+            if (schema.enum && !schema.enum.includes(value)) {
+                return `${path} must be one of: ${schema.enum.join(', ')}`;
+            }
+            if (schema.pattern && !schema.pattern.test(value)) return `${path} has an invalid format`;
+            return null;
+
+        case 'boolean':
+            return typeof value === 'boolean' ? null : `${path} must be true or false`;
+
+        case 'array': {
+            if (!Array.isArray(value)) return `${path} must be a list`;
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                return `${path} needs at least ${schema.minItems} items`;
+            }
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                return `${path} allows at most ${schema.maxItems} items`;
+            }
+            for (let i = 0; i < value.length; i++) {
+                const error = validate(schema.items, value[i], `${path}[${i}]`);
+                if (error) return error;
+            }
+            return null;
+        }
+
+        case 'object': {
+            if (typeof value !== 'object' || Array.isArray(value)) return `${path} must be an object`;
+            // Unknown keys are ignored; handlers only read declared fields
+            for (const key of Object.keys(schema.properties)) {
+                const error = validate(schema.properties[key], value[key], `${path}.${key}`);
+                if (error) return error;
+            }
+            return null;
+        }
+
+        default:
+            return null;
+    }
+}
+
+// A new arrow needs its two ends, unless its waypoints give them
+function arrowEndsError(arrow, path) {
+    return arrow.waypoints || (arrow.start && arrow.end) ? null : `${path} needs start and end, or waypoints`;
+}
+
+// Validate the payload of an inbound socket event
+function validateEvent(event, payload) {
+    if (!(event in EVENT_SCHEMAS)) return `Unknown event: ${event}`;
+
+    const schema = EVENT_SCHEMAS[event];
+    if (!schema) return null;
+    return validate(schema, payload, event) || (event === 'add-arrow' ? arrowEndsError(payload, event) : null);
+}
+
+// Validate a full annotation (for creation) or a set of changes (partial: true)
+function validateAnnotation(type, data, { partial: isPartial = false } = {}) {
+    const schema = ANNOTATION_SCHEMAS[type];
+    if (!schema) return `Unknown annotation type: ${type}`;
+
+    if (isPartial) return validate(partial(schema), data, type);
+    return validate(schema, data, type) || (type === 'arrow' ? arrowEndsError(data, type) : null);
+}
+
+function validateLayout(layout) {
+    return validate(LAYOUT_SCHEMA, layout, 'layout');
+}
+
+function validateThresholds(thresholds) {
+    return validate(THRESHOLDS_SCHEMA, thresholds, 'thresholds');
+}
+
+// A sensor reading needs at least one value
+function validateReading(values) {
+    const error = validate(object(SENSOR_VALUES), values, 'reading');
+    if (error) return error;
+    return Object.keys(SENSOR_VALUES).some(key => values[key] !== undefined)
+        ? null
+        : `reading needs at least one of: ${Object.keys(SENSOR_VALUES).join(', ')}`;
+}
+
+function validateWorkerPosition(report) {
+    return validate(WORKER_POSITION, report, 'report');
+}
+
+module.exports = {
+    EVENT_SCHEMAS,
+    ANNOTATION_SCHEMAS,
+    LAYOUT_SCHEMA,
+    SENSOR_FIELDS: Object.keys(SENSOR_VALUES),
+    validate,
+    validateEvent,
+    validateAnnotation,
+    validateLayout,
+    validateThresholds,
+    validateReading,
+    validateWorkerPosition
+};
@@ -0,0 +1,182 @@
+// AR Mine Safety Navigation System - Sensor History
+// Rolling on-disk time series of every sensor station's readings
+//
+// data/sensors/room_<code>/<stationId>/<YYYY-MM-DD>.raw.jsonl     every reading: { t, values }
+// data/sensors/room_<code>/<stationId>/<YYYY-MM-DD>.minute.jsonl  one-minute aggregates: { t, values: { ch4: { n, min, avg, max } } }
+//
+// Days are UTC. Old day files are deleted when a station starts a new day: raw
+// readings after rawRetentionDays, minute aggregates after minuteRetentionDays.
+// Short ranges are answered from raw readings, longer ones from the minute
+// aggregates, and either way downsampled to at most the requested number of points.
+
+const fs = require('fs');
+const path = require('path');
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// Ranges up to this long are read from raw readings
+const RAW_RANGE_LIMIT = 2 * 60 * MINUTE;
+
+const DAY_FILE = /^(\d{4}-\d{2}-\d{2})\.(raw|minute)\.jsonl$/;
+
+const dayOf = (t) => new Date(t).toISOString().slice(0, 10);
+
+// A single reading as an aggregate of one sample per value
+function aggregateOf(values) {
+    const aggregate = {};
+    Object.keys(values).forEach(field => {
+        const value = values[field];
+        aggregate[field] = { n: 1, min: value, avg: value, max: value };
+    });
+    return aggregate;
+}
+
+// Fold one set of { n, min, avg, max } aggregates into another
+function mergeAggregates(into, from) {
+    Object.keys(from).forEach(field => {
+        const add = from[field];
+        const current = into[field];
+        if (!current) {
+            into[field] = { ...add };
+            return;
+        }
+        const n = current.n + add.n;
+        current.avg = (current.avg * current.n + add.avg * add.n) / n;
+        current.min = Math.min(current.min, add.min);
+        current.max = Math.max(current.max, add.max);
+        current.n = n;
+    });
+    return into;
+}
+
+function createSensorHistory({ dataDir, rawRetentionDays = 2, minuteRetentionDays = 30 }) {
+    const streams = new Map();  // file path -> append stream
+    const stations = new Map(); // "<roomId>/<stationId>" -> { dir, day, minute: { t, values } | null }
+
+    const dayFile = (dir, day, tier) => path.join(dir, `${day}.${tier}.jsonl`);
+
+    function getStation(roomId, stationId) {
+        const key = `${roomId}/${stationId}`;
+        if (!stations.has(key)) {
+            stations.set(key, { dir: path.join(dataDir, `room_${roomId}`, stationId), day: null, minute: null });
+        }
+        return stations.get(key);
+    }
+
+    function write(file, record) {
+        if (!streams.has(file)) {
+            const stream = fs.createWriteStream(file, { flags: 'a' });
+            stream.on('error', err => console.error(`Sensor history write error for ${file}:`, err));
+            streams.set(file, stream);
+        }
+        streams.get(file).write(JSON.stringify(record) + '\n');
+    }
+
+    function closeDay(station) {
+        ['raw', 'minute'].forEach(tier => {
+            const file = dayFile(station.dir, station.day, tier);
+            if (streams.has(file)) {
+                streams.get(file).end();
+                streams.delete(file);
+            }
+        });
+    }
+
+    // Delete day files that have aged out
+    function prune(dir, today) {
+        fs.promises.readdir(dir)
+            .then(files => files.forEach(file => {
+                const match = file.match(DAY_FILE);
+                if (!match) return;
+                const age = (Date.parse(today) - Date.parse(match[1])) / DAY;
+                if (age >= (match[2] === 'raw' ? rawRetentionDays : minuteRetentionDays)) {
+                    fs.promises.unlink(path.join(dir, file)).catch(err => {
+                        if (err.code !== 'ENOENT') console.error(`Could not prune ${file}:`, err);
+                    });
+                }
+            }))
+            .catch(err => console.error(`Could not prune sensor history in ${dir}:`, err));
+    }
+
+    function startDay(station, day) {
+        if (station.day) closeDay(station);
+        station.day = day;
+        fs.mkdirSync(station.dir, { recursive: true });
+        prune(station.dir, day);
+    }
+
+    function flushMinute(station) {
+        write(dayFile(station.dir, dayOf(station.minute.t), 'minute'), station.minute);
+        station.minute = null;
+    }
+
+    // Store one reading ({ o2, ch4, co, temperature }) taken at `at` (ms)
+    function record(roomId, stationId, values, at = Date.now()) {
+        const station = getStation(roomId, stationId);
+        const minuteStart = at - (at % MINUTE);
+
+        // The previous minute is complete once a reading lands in a later one
+        if (station.minute && station.minute.t !== minuteStart) flushMinute(station);
+        if (station.day !== dayOf(at)) startDay(station, dayOf(at));
+
+        if (!station.minute) station.minute = { t: minuteStart, values: {} };
+        mergeAggregates(station.minute.values, aggregateOf(values));
+        write(dayFile(station.dir, station.day, 'raw'), { t: at, values });
+    }
+
+    async function readDay(dir, day, tier) {
+        let text;
+        try {
+            text = await fs.promises.readFile(dayFile(dir, day, tier), 'utf8');
+        } catch (e) {
+            if (e.code === 'ENOENT') return [];
+            throw e;
+        }
+
+        const records = [];
+        text.split('\n').forEach(line => {
+            if (!line.trim()) return;
+            try {
+                records.push(JSON.parse(line));
+            } catch (e) {
+                // A torn line from a crash; the rest of the day is still usable
+            }
+        });
+        return records;
+    }
+
+    // A station's readings between from and to (ms), merged into at most `points`
+    // equal time buckets. Returns { resolution: 'raw' | 'minute', buckets: [{ t, values }] },
+    // oldest first, with t the bucket start and values { field: { n, min, avg, max } }.
+    async function query(roomId, stationId, from, to, points = 300) {
+        const station = getStation(roomId, stationId);
+        const resolution = to - from <= RAW_RANGE_LIMIT ? 'raw' : 'minute';
+
+        const records = [];
+        for (let t = Date.parse(dayOf(from)); t <= to; t += DAY) {
+            const day = await readDay(station.dir, dayOf(t), resolution);
+            day.forEach(r => records.push(resolution === 'raw' ? { t: r.t, values: aggregateOf(r.values) } : r));
+        }
+        // The minute in progress has not been written yet
+        if (resolution === 'minute' && station.minute) records.push(station.minute);
+
+        const width = (to - from) / points;
+        const buckets = new Map();
+        records.forEach(r => {
+            if (r.t < from || r.t > to) return;
+            const index = Math.min(points - 1, Math.floor((r.t - from) / width));
+            if (!buckets.has(index)) buckets.set(index, { t: Math.round(from + index * width), values: {} });
+            mergeAggregates(buckets.get(index).values, r.values);
+        });
+
+        return {
+            resolution,
+            buckets: [...buckets.keys()].sort((a, b) => a - b).map(index => buckets.get(index))
+        };
+    }
+
+    return { record, query, maxRange: minuteRetentionDays * DAY };
+}
+
+module.exports = { createSensorHistory };
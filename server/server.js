@@ -3,6 +3,23 @@ const http = require('http');
 const { Server } = require('socket.io');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+const os = require('os');
+const { createJournal } = require('./journal');
+const { createLayoutStore } = require('./layouts');
+const { createEvacuationPlanner, hazardKey } = require('./evacuation');
+const { createAlarmEngine, mergeThresholds, thresholdOrderError, UNITS } = require('./alarms');
+const { createSensorHistory } = require('./sensor-history');
+const {
+    EVENT_SCHEMAS,
+    validateEvent,
+    validateAnnotation,
+    validateLayout,
+    validateThresholds,
+    validateReading,
+    validateWorkerPosition,
+    SENSOR_FIELDS
+} = require('./schemas');
 
 const app = express();
 const server = http.createServer(app);
@@ -19,6 +36,16 @@ const PORT = process.env.PORT || 3000;
 app.use('/display', express.static(path.join(__dirname, '../public/display')));
 app.use('/controller', express.static(path.join(__dirname, '../public/controller')));
 app.use('/converter', express.static(path.join(__dirname, '../public/converter')));
+// Converter layouts can hold thousands of wall segments
+app.use('/api', express.json({ limit: '5mb' }));
+// A body that isn't JSON, or is over the limit, gets the API's error shape
+// instead of Express's HTML error page
+app.use('/api', (err, req, res, next) => {
+    if (err.type === 'entity.parse.failed' || err.type === 'entity.too.large') {
+        return res.status(400).json({ success: false, error: 'Invalid JSON body' });
+    }
+    next(err);
+});
 
 // Routes
 app.get('/', (req, res) => {
@@ -100,7 +127,22 @@ app.get('/', (req, res) => {
 
 // Room storage
 const rooms = new Map();
-const DATA_DIR = path.join(__dirname, '../data');
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../data');
+
+// Mine layouts the displays can load (see layouts.js)
+const layoutStore = createLayoutStore({
+    builtinDir: path.join(__dirname, '../layouts'),
+    uploadDir: path.join(DATA_DIR, 'layouts')
+});
+
+// Evacuation routes on each room's layout (see evacuation.js)
+const evacuationPlanner = createEvacuationPlanner({ getLayout: (name) => layoutStore.get(name) });
+
+// Time series of every sensor station's readings (see sensor-history.js)
+const sensorHistory = createSensorHistory({ dataDir: path.join(DATA_DIR, 'sensors') });
+
+// Client-generated action ids remembered per room (see rememberClientId)
+const CLIENT_ID_LIMIT = 1000;
 
 // Ensure data directory exists
 if (!fs.existsSync(DATA_DIR)) {
@@ -116,74 +158,1301 @@ function generateRoomCode() {
     return code;
 }
 
-// Save room state to file
-function saveRoomState(roomId) {
+// Persistent room journal (see journal.js)
+const journal = createJournal({
+    dataDir: DATA_DIR,
+    snapshotInterval: 50,
+    getSnapshot: (roomId) => {
+        const room = rooms.get(roomId);
+        return {
+            createdAt: room.createdAt,
+            annotations: room.annotations,
+            sessionKeys: [...room.sessionKeys].map(([keyHash, deviceType]) => ({ keyHash, deviceType })),
+            clientIds: [...room.clientIds],
+            layout: room.layout,
+            thresholds: room.thresholds
+        };
+    }
+});
+
+// Restore all persisted rooms into memory (called once at startup)
+function loadAllRoomStates() {
+    journal.loadAll().forEach((state, roomId) => {
+        // Sockets from a previous server run are gone; devices must rejoin
+        rooms.set(roomId, {
+            displaySocket: null,
+            controllers: [],
+            spectators: [],
+            annotations: state.annotations,
+            createdAt: state.createdAt,
+            // A fresh pairing token is issued when the display comes back
+            pairingToken: null,
+            reclaimToken: null,
+            sessionKeys: new Map(state.sessionKeys.map(k => [k.keyHash, k.deviceType])),
+            clientIds: new Set(state.clientIds.slice(-CLIENT_ID_LIMIT)),
+            layout: state.layout,
+            thresholds: state.thresholds
+        });
+    });
+
+    console.log(`Restored ${rooms.size} room(s) from ${DATA_DIR}`);
+}
+
+loadAllRoomStates();
+
+// Who made a change, as recorded in the journal
+function socketActor(socket) {
+    return { deviceType: socket.deviceType || 'unknown', socketId: socket.id, name: socket.controllerName };
+}
+
+function apiActor(req) {
+    return { deviceType: 'api', address: req.ip };
+}
+
+// ============================================
+// PAIRING
+// ============================================
+// The 4-digit room code only identifies a room. To change anything a device
+// must pair: the display shows a one-time pairing token, a controller trades it
+// for a session key, and the token is replaced as soon as it has been used.
+// Session keys let the same device reconnect later without pairing again.
+
+// No 0/O or 1/I so the token can be typed from the screen
+const PAIRING_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const PAIRING_TOKEN_LENGTH = 8;
+
+function generatePairingToken() {
+    return Array.from(crypto.randomBytes(PAIRING_TOKEN_LENGTH))
+        .map(b => PAIRING_ALPHABET[b % PAIRING_ALPHABET.length])
+        .join('');
+}
+
+// Accept tokens typed in lower case or with spaces / dashes
+function normalizePairingToken(token) {
+    return String(token || '').toUpperCase().replace(/[\s-]/g, '');
+}
+
+function hashSessionKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// Replace the room's pairing token and show the new one on the display
+function rotatePairingToken(roomId) {
     const room = rooms.get(roomId);
-    if (room) {
-        const filePath = path.join(DATA_DIR, `room_${roomId}.json`);
-        fs.writeFileSync(filePath, JSON.stringify(room, null, 2));
+    room.pairingToken = generatePairingToken();
+    if (room.displaySocket) {
+        io.to(room.displaySocket).emit('pairing-token', { roomId, token: room.pairingToken });
     }
+    return room.pairingToken;
 }
 
-// Load room state from file
-function loadRoomState(roomId) {
-    const filePath = path.join(DATA_DIR, `room_${roomId}.json`);
-    if (fs.existsSync(filePath)) {
-        try {
-            return JSON.parse(fs.readFileSync(filePath, 'utf8'));
-        } catch (e) {
-            console.error('Error loading room state:', e);
-        }
+// Check a token against the room's current one; a match is used up immediately
+function consumePairingToken(roomId, token) {
+    const room = rooms.get(roomId);
+    if (!room.pairingToken) return false;
+
+    const given = Buffer.from(normalizePairingToken(token));
+    const expected = Buffer.from(room.pairingToken);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return false;
+
+    rotatePairingToken(roomId);
+    return true;
+}
+
+// A room without a live display can only be reached by a display holding its
+// session key, which is lost with the tab. Print a one-time code for the person
+// running the server to open a display with instead (see 'reclaim-room').
+function offerReclaim(roomId) {
+    const room = rooms.get(roomId);
+    room.reclaimToken = generatePairingToken();
+    console.log(`Room ${roomId} has no display. To take it over, open /display?room=${roomId}&reclaim=${room.reclaimToken}`);
+}
+
+function consumeReclaimToken(roomId, token) {
+    const room = rooms.get(roomId);
+    if (!room.reclaimToken) return false;
+
+    const given = Buffer.from(normalizePairingToken(token));
+    const expected = Buffer.from(room.reclaimToken);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return false;
+
+    room.reclaimToken = null;
+    return true;
+}
+
+// Issue a session key for a newly paired device (only its hash is kept, with
+// the kind of device it was issued to: 'display', 'controller' or 'api')
+function issueSessionKey(roomId, deviceType, actor) {
+    const key = crypto.randomBytes(24).toString('hex');
+    const keyHash = hashSessionKey(key);
+    rooms.get(roomId).sessionKeys.set(keyHash, deviceType);
+    journal.append(roomId, actor, 'pair', { keyHash, deviceType });
+    return key;
+}
+
+function isValidSessionKey(room, key) {
+    return typeof key === 'string' && room.sessionKeys.has(hashSessionKey(key));
+}
+
+// The kind of device a session key was issued to (null for keys issued before
+// that was recorded), or undefined for an unknown key
+function sessionKeyDevice(room, key) {
+    return typeof key === 'string' ? room.sessionKeys.get(hashSessionKey(key)) : undefined;
+}
+
+// Mark a socket as allowed to send mutating events for a room
+function pairSocket(socket, roomId) {
+    socket.join(roomId);
+    socket.roomId = roomId;
+    socket.pairedRoom = roomId;
+}
+
+// ============================================
+// CONTROLLERS
+// ============================================
+
+// Public view of a room's controllers (socket ids stay on the server)
+function controllerList(room) {
+    return room.controllers.map(c => ({ name: c.name, joinedAt: c.joinedAt }));
+}
+
+// Send an event to a list of socket ids
+function emitToSockets(socketIds, event, payload) {
+    // io.to([]) would broadcast to every socket, so bail out early
+    if (socketIds.length === 0) return;
+    io.to(socketIds).emit(event, payload);
+}
+
+// Send an event to every controller in a room
+function emitToControllers(room, event, payload) {
+    emitToSockets(room.controllers.map(c => c.socketId), event, payload);
+}
+
+// Attach a controller socket to a room and announce it
+function addController(roomId, socket, name) {
+    const room = rooms.get(roomId);
+    const controller = {
+        socketId: socket.id,
+        name: String(name || '').trim().slice(0, 32) || `Controller ${room.controllers.length + 1}`,
+        joinedAt: new Date().toISOString()
+    };
+    // A socket that joins twice replaces its earlier entry
+    room.controllers = room.controllers.filter(c => c.socketId !== socket.id);
+    room.controllers.push(controller);
+
+    pairSocket(socket, roomId);
+    socket.deviceType = 'controller';
+    socket.controllerName = controller.name;
+
+    if (room.displaySocket) {
+        io.to(room.displaySocket).emit('controller-connected', { name: controller.name });
+    }
+    io.to(roomId).emit('controllers-updated', controllerList(room));
+    return controller;
+}
+
+// Detach a controller socket from a room and announce it
+function removeController(roomId, socketId) {
+    const room = rooms.get(roomId);
+    const controller = room.controllers.find(c => c.socketId === socketId);
+    if (!controller) return;
+
+    room.controllers = room.controllers.filter(c => c.socketId !== socketId);
+
+    if (room.displaySocket) {
+        io.to(room.displaySocket).emit('controller-disconnected', { name: controller.name });
+    }
+    io.to(roomId).emit('controllers-updated', controllerList(room));
+}
+
+// ============================================
+// ANNOTATIONS
+// ============================================
+
+// Fields a client may set on each annotation type (id, type and createdAt are server-owned)
+const ANNOTATION_FIELDS = {
+    danger: ['position', 'radius', 'label'],
+    arrow: ['start', 'end', 'label', 'waypoints'],
+    incident: ['position', 'date', 'description', 'severity'],
+    restricted: ['vertices', 'active', 'warnOnly'],
+    // stationId is fixed once placed: readings are addressed by it
+    sensor: ['position', 'label', 'depth']
+};
+
+// Timestamp-based ids, bumped so a burst of adds (e.g. a flushed offline queue) stays unique
+let lastAnnotationTime = 0;
+
+function nextAnnotationId(type) {
+    lastAnnotationTime = Math.max(Date.now(), lastAnnotationTime + 1);
+    return `${type}_${lastAnnotationTime}`;
+}
+
+// Build a stored annotation from client-supplied data
+function createAnnotation(type, data) {
+    const id = nextAnnotationId(type);
+    const createdAt = new Date().toISOString();
+
+    switch (type) {
+        case 'danger':
+            return {
+                id,
+                type: 'danger',
+                position: data.position,
+                radius: data.radius || 5,
+                label: data.label || 'Danger Zone',
+                version: 1,
+                createdAt
+            };
+        case 'arrow':
+            return {
+                id,
+                type: 'arrow',
+                // A route's ends are its first and last waypoints
+                start: data.waypoints ? data.waypoints[0] : data.start,
+                end: data.waypoints ? data.waypoints[data.waypoints.length - 1] : data.end,
+                waypoints: data.waypoints, // undefined for a plain arrow
+                label: data.label || 'Direction',
+                version: 1,
+                createdAt
+            };
+        case 'incident':
+            return {
+                id,
+                type: 'incident',
+                position: data.position,
+                date: data.date || new Date().toISOString().split('T')[0],
+                description: data.description || 'Incident reported',
+                severity: data.severity || 'medium',
+                version: 1,
+                createdAt
+            };
+        case 'restricted':
+            return {
+                id,
+                type: 'restricted',
+                vertices: data.vertices,
+                active: data.active !== undefined ? data.active : true,
+                warnOnly: data.warnOnly === true,
+                version: 1,
+                createdAt
+            };
+        case 'sensor':
+            return {
+                id,
+                type: 'sensor',
+                stationId: data.stationId,
+                position: data.position,
+                label: data.label || data.stationId,
+                depth: data.depth, // undefined when not surveyed
+                version: 1,
+                createdAt
+            };
+        default:
+            return null;
+    }
+}
+
+// Why an annotation can't be added to a room as it stands, or null
+function annotationConflict(room, type, data) {
+    if (type === 'sensor' && findStation(room, data.stationId)) {
+        return `Sensor station ${data.stationId} already exists`;
     }
     return null;
 }
 
+// Remember a client-generated action id so a replay of that action is ignored
+function rememberClientId(room, clientId) {
+    room.clientIds.add(clientId);
+    if (room.clientIds.size > CLIENT_ID_LIMIT) {
+        room.clientIds.delete(room.clientIds.values().next().value);
+    }
+}
+
+// Store an annotation and broadcast it to everyone in the room
+function addRoomAnnotation(roomId, annotation, actor, clientId) {
+    const room = rooms.get(roomId);
+    room.annotations.push(annotation);
+    if (clientId) rememberClientId(room, clientId);
+    journal.append(roomId, actor, 'add', { annotation, index: room.annotations.length - 1, clientId });
+
+    io.to(roomId).emit('annotation-added', annotation);
+    // Auto zones come and go with the sensor readings, so they aren't undoable
+    if (!annotation.auto) {
+        recordHistory(roomId, { action: 'add', annotation: cloneAnnotation(annotation), index: room.annotations.length - 1 });
+    }
+    replanEvacuations(roomId);
+}
+
+// Apply allowed field changes to an annotation; returns the updated annotation or null
+function updateRoomAnnotation(roomId, annotationId, changes, actor) {
+    const room = rooms.get(roomId);
+    const annotation = room.annotations.find(a => a.id === annotationId);
+    if (!annotation) return null;
+
+    const before = cloneAnnotation(annotation);
+    const applied = {};
+    ANNOTATION_FIELDS[annotation.type].forEach(field => {
+        if (changes[field] !== undefined) {
+            annotation[field] = changes[field];
+            applied[field] = changes[field];
+        }
+    });
+    // A route's start and end are always its first and last waypoints: moving an
+    // end on its own moves that waypoint
+    if (annotation.type === 'arrow' && annotation.waypoints) {
+        if (!applied.waypoints && (applied.start || applied.end)) {
+            annotation.waypoints = [...annotation.waypoints];
+            if (applied.start) annotation.waypoints[0] = applied.start;
+            if (applied.end) annotation.waypoints[annotation.waypoints.length - 1] = applied.end;
+        }
+        annotation.start = annotation.waypoints[0];
+        annotation.end = annotation.waypoints[annotation.waypoints.length - 1];
+    }
+    // Annotations restored from older room files have no version yet
+    annotation.version = (annotation.version || 1) + 1;
+    annotation.updatedAt = new Date().toISOString();
+    journal.append(roomId, actor, 'update', { annotation, changes: applied });
+
+    io.to(roomId).emit('annotation-updated', annotation);
+    if (!annotation.auto) recordHistory(roomId, { action: 'update', before, after: cloneAnnotation(annotation) });
+    replanEvacuations(roomId);
+    return annotation;
+}
+
+// Remove an annotation by id; returns false if it did not exist
+function removeRoomAnnotation(roomId, annotationId, actor) {
+    const room = rooms.get(roomId);
+    const index = room.annotations.findIndex(a => a.id === annotationId);
+    if (index === -1) return false;
+
+    const [removed] = room.annotations.splice(index, 1);
+    journal.append(roomId, actor, 'remove', { id: annotationId, annotation: removed });
+
+    io.to(roomId).emit('annotation-removed', { id: annotationId });
+    if (!removed.auto) recordHistory(roomId, { action: 'remove', annotation: cloneAnnotation(removed), index });
+    // Without its zone the station's alarm starts over, so a reading still in alarm recreates it
+    if (removed.auto) alarmEngine.forget(roomId, removed.stationId);
+    if (removed.type === 'sensor') stationRemoved(roomId, removed.stationId, actor);
+    replanEvacuations(roomId);
+    return true;
+}
+
+// Remove every annotation in a room
+function clearRoomAnnotations(roomId, actor) {
+    const room = rooms.get(roomId);
+    const cleared = room.annotations.map(cloneAnnotation);
+    room.annotations = [];
+    alarmEngine.forgetRoom(roomId);
+    journal.append(roomId, actor, 'clear', { count: cleared.length });
+
+    io.to(roomId).emit('annotations-cleared');
+    recordHistory(roomId, { action: 'clear', annotations: cleared });
+    replanEvacuations(roomId);
+}
+
+// ============================================
+// UNDO / REDO HISTORY
+// ============================================
+
+// Per-room undo/redo stacks, kept in memory only
+const histories = new Map();
+const HISTORY_LIMIT = 50;
+
+// History entries keep their own copies so later edits can't change them
+function cloneAnnotation(annotation) {
+    return JSON.parse(JSON.stringify(annotation));
+}
+
+function getHistory(roomId) {
+    if (!histories.has(roomId)) {
+        histories.set(roomId, { undo: [], redo: [] });
+    }
+    return histories.get(roomId);
+}
+
+function historyState(roomId) {
+    const history = getHistory(roomId);
+    return { canUndo: history.undo.length > 0, canRedo: history.redo.length > 0 };
+}
+
+// Record a new change; any redo branch is discarded
+function recordHistory(roomId, entry) {
+    const history = getHistory(roomId);
+    history.undo.push(entry);
+    if (history.undo.length > HISTORY_LIMIT) {
+        history.undo.shift();
+    }
+    history.redo = [];
+
+    io.to(roomId).emit('history-updated', historyState(roomId));
+}
+
+// Low-level operations used when replaying history (they don't record new entries)
+function insertAnnotation(roomId, annotation, index, actor) {
+    const room = rooms.get(roomId);
+    const copy = cloneAnnotation(annotation);
+    room.annotations.splice(Math.min(index, room.annotations.length), 0, copy);
+    journal.append(roomId, actor, 'add', { annotation: copy, index });
+    io.to(roomId).emit('annotation-added', copy);
+}
+
+function deleteAnnotation(roomId, annotationId, actor) {
+    const room = rooms.get(roomId);
+    const removed = room.annotations.find(a => a.id === annotationId);
+    room.annotations = room.annotations.filter(a => a.id !== annotationId);
+    journal.append(roomId, actor, 'remove', { id: annotationId });
+    io.to(roomId).emit('annotation-removed', { id: annotationId });
+    if (removed && removed.type === 'sensor') stationRemoved(roomId, removed.stationId, actor);
+}
+
+function replaceAnnotation(roomId, annotation, actor) {
+    const room = rooms.get(roomId);
+    const index = room.annotations.findIndex(a => a.id === annotation.id);
+    if (index === -1) return;
+
+    // Restored content still gets a new version so clients never see it go backwards
+    const copy = cloneAnnotation(annotation);
+    copy.version = (room.annotations[index].version || 1) + 1;
+    copy.updatedAt = new Date().toISOString();
+    room.annotations[index] = copy;
+    journal.append(roomId, actor, 'update', { annotation: copy });
+    io.to(roomId).emit('annotation-updated', copy);
+}
+
+function revertEntry(roomId, entry, actor) {
+    switch (entry.action) {
+        case 'add':
+            deleteAnnotation(roomId, entry.annotation.id, actor);
+            break;
+        case 'remove':
+            insertAnnotation(roomId, entry.annotation, entry.index, actor);
+            break;
+        case 'update':
+            replaceAnnotation(roomId, entry.before, actor);
+            break;
+        case 'clear':
+            entry.annotations.forEach((annotation, i) => insertAnnotation(roomId, annotation, i, actor));
+            break;
+    }
+}
+
+function reapplyEntry(roomId, entry, actor) {
+    switch (entry.action) {
+        case 'add':
+            insertAnnotation(roomId, entry.annotation, entry.index, actor);
+            break;
+        case 'remove':
+            deleteAnnotation(roomId, entry.annotation.id, actor);
+            break;
+        case 'update':
+            replaceAnnotation(roomId, entry.after, actor);
+            break;
+        case 'clear':
+            rooms.get(roomId).annotations = [];
+            journal.append(roomId, actor, 'clear', { count: entry.annotations.length });
+            io.to(roomId).emit('annotations-cleared');
+            break;
+    }
+}
+
+// Step back or forward through a room's history; returns the entry or null
+function stepHistory(roomId, direction, actor) {
+    const history = getHistory(roomId);
+    const from = direction === 'undo' ? history.undo : history.redo;
+    const to = direction === 'undo' ? history.redo : history.undo;
+
+    const entry = from.pop();
+    if (!entry) return null;
+
+    // Journal entries written while replaying history are tagged with the direction
+    const historyActor = { ...actor, via: direction };
+    if (direction === 'undo') {
+        revertEntry(roomId, entry, historyActor);
+    } else {
+        reapplyEntry(roomId, entry, historyActor);
+    }
+    to.push(entry);
+
+    io.to(roomId).emit('history-updated', historyState(roomId));
+    replanEvacuations(roomId);
+    return entry;
+}
+
+// ============================================
+// LAYOUTS
+// ============================================
+
+// Switch a room to another mine layout; displays rebuild live and keep the annotations
+function setRoomLayout(roomId, name, layout, actor) {
+    const room = rooms.get(roomId);
+    room.layout = name;
+    journal.append(roomId, actor, 'set-layout', { name });
+
+    io.to(roomId).emit('layout-changed', { name, layout });
+    replanEvacuations(roomId);
+}
+
+// ============================================
+// EVACUATION PLANNING
+// ============================================
+
+// Sockets that asked for a plan, per room: socket id -> { position, key }.
+// They get a new plan whenever the room's hazards or layout change.
+const evacuationWatchers = new Map();
+
+// A burst of hazard changes (a zone dragged into place, several gas alarms at
+// once) is planned for once, this long after the first of them
+const EVACUATION_REPLAN_DELAY = 500; // ms
+const evacuationReplans = new Map(); // roomId -> pending timer
+
+// A room without an assigned layout is planned on the default mine
+function planEvacuation(roomId, position) {
+    const room = rooms.get(roomId);
+    return evacuationPlanner.plan(room.layout || 'default', position, room.annotations);
+}
+
+// What a plan depends on besides the position
+function evacuationKey(room) {
+    return `${room.layout || 'default'}|${hazardKey(room.annotations)}`;
+}
+
+function watchEvacuation(roomId, socketId, position) {
+    if (!evacuationWatchers.has(roomId)) evacuationWatchers.set(roomId, new Map());
+    evacuationWatchers.get(roomId).set(socketId, { position, key: evacuationKey(rooms.get(roomId)) });
+}
+
+function unwatchEvacuation(socketId) {
+    evacuationWatchers.forEach(watchers => watchers.delete(socketId));
+}
+
+// Called after every annotation or layout change; only hazard changes trigger a new plan
+function replanEvacuations(roomId) {
+    const watchers = evacuationWatchers.get(roomId);
+    if (!watchers || watchers.size === 0) return;
+
+    if (evacuationReplans.has(roomId)) return;
+    evacuationReplans.set(roomId, setTimeout(() => {
+        evacuationReplans.delete(roomId);
+        sendEvacuationReplans(roomId);
+    }, EVACUATION_REPLAN_DELAY));
+}
+
+// Watchers at the same spot share one plan (see evacuation.js)
+function sendEvacuationReplans(roomId) {
+    const watchers = evacuationWatchers.get(roomId);
+    if (!watchers) return;
+
+    const key = evacuationKey(rooms.get(roomId));
+    watchers.forEach((watcher, socketId) => {
+        if (watcher.key === key) return;
+        watcher.key = key;
+
+        planEvacuation(roomId, watcher.position)
+            .then(plan => io.to(socketId).emit('evacuation-plan', { plan }))
+            .catch(e => console.error('Error planning evacuation:', e));
+    });
+}
+
+// ============================================
+// SENSOR STATIONS
+// ============================================
+
+// Latest reading of each station, per room: stationId -> { stationId, values, at }.
+// In memory only; stations report every few seconds.
+const sensorReadings = new Map();
+
+function findStation(room, stationId) {
+    return room.annotations.find(a => a.type === 'sensor' && a.stationId === stationId);
+}
+
+// The sensor values in an event or request body
+function pickReading(data) {
+    const values = {};
+    SENSOR_FIELDS.forEach(field => {
+        if (data[field] !== undefined) values[field] = data[field];
+    });
+    return values;
+}
+
+// Keep a station's latest reading and broadcast it to the room
+function recordSensorReading(roomId, stationId, values) {
+    const now = Date.now();
+    const reading = { stationId, values, at: new Date(now).toISOString() };
+    if (!sensorReadings.has(roomId)) sensorReadings.set(roomId, new Map());
+    sensorReadings.get(roomId).set(stationId, reading);
+    sensorHistory.record(roomId, stationId, values, now);
+
+    io.to(roomId).emit('sensor-updated', reading);
+    checkGasAlarm(roomId, findStation(rooms.get(roomId), stationId), values);
+    return reading;
+}
+
+// Latest readings of the stations still placed in a room
+function latestReadings(roomId) {
+    const room = rooms.get(roomId);
+    const readings = sensorReadings.get(roomId);
+    if (!readings) return [];
+    return [...readings.values()].filter(reading => findStation(room, reading.stationId));
+}
+
+// ============================================
+// PERSONNEL
+// ============================================
+
+// Last known position of each tracked worker, per room: workerId -> { workerId, name, position, at }.
+// In memory only, like sensor readings. A worker who hasn't reported for
+// WORKER_EXPIRY (seconds in the WORKER_EXPIRY environment variable, default an
+// hour) is removed, from the displays too; until then displays show them
+// fading out where last seen.
+const WORKER_EXPIRY = (Number(process.env.WORKER_EXPIRY) || 60 * 60) * 1000;
+const WORKER_SWEEP_INTERVAL = Math.min(60 * 1000, WORKER_EXPIRY);
+const WORKER_LIMIT = 200; // tracked workers per room
+const workerPositions = new Map();
+
+// The workers of a room still within WORKER_EXPIRY; expired ones are removed
+function currentWorkers(roomId) {
+    const workers = workerPositions.get(roomId);
+    if (!workers) return [];
+
+    const cutoff = Date.now() - WORKER_EXPIRY;
+    workers.forEach((worker, workerId) => {
+        if (Date.parse(worker.at) < cutoff) removeWorker(roomId, workerId);
+    });
+    return [...workers.values()];
+}
+
+// Workers who went silent are removed even if nobody asks for the list
+setInterval(() => {
+    workerPositions.forEach((workers, roomId) => currentWorkers(roomId));
+}, WORKER_SWEEP_INTERVAL).unref();
+
+// Keep a worker's position and broadcast it to the room. Returns null when the
+// room already tracks WORKER_LIMIT other workers.
+function recordWorkerPosition(roomId, { workerId, name, position }) {
+    currentWorkers(roomId);
+    if (!workerPositions.has(roomId)) workerPositions.set(roomId, new Map());
+    const workers = workerPositions.get(roomId);
+
+    const known = workers.get(workerId);
+    if (!known && workers.size >= WORKER_LIMIT) return null;
+
+    const worker = {
+        workerId,
+        name: name || (known && known.name) || workerId,
+        position: { x: position.x, z: position.z },
+        at: new Date().toISOString()
+    };
+    workers.set(workerId, worker);
+
+    io.to(roomId).emit('worker-updated', worker);
+    return worker;
+}
+
+// Stop tracking a worker (signed off); false if they weren't tracked
+function removeWorker(roomId, workerId) {
+    const workers = workerPositions.get(roomId);
+    if (!workers || !workers.delete(workerId)) return false;
+
+    io.to(roomId).emit('worker-removed', { workerId });
+    return true;
+}
+
+// ============================================
+// GAS ALARMS
+// ============================================
+
+// Alarm level of every station (see alarms.js). GAS_ALARM_HOLD_OFF is how many
+// seconds readings must stay below a threshold before its alarm clears.
+const alarmEngine = createAlarmEngine({ holdOff: (Number(process.env.GAS_ALARM_HOLD_OFF) || 60) * 1000 });
+
+// Radius of the danger zone put around a station in alarm
+const AUTO_ZONE_RADIUS = { warning: 5, evacuate: 10 };
+
+// Change a room's alarm thresholds; displays get them for the status panel
+function setRoomThresholds(roomId, thresholds, actor) {
+    const room = rooms.get(roomId);
+    room.thresholds = thresholds;
+    journal.append(roomId, actor, 'set-thresholds', { thresholds });
+
+    io.to(roomId).emit('thresholds-changed', { thresholds });
+}
+
+function findAutoZone(room, stationId) {
+    return room.annotations.find(a => a.type === 'danger' && a.auto && a.stationId === stationId);
+}
+
+// A removed station can't clear its own alarm, so its zone goes with it
+function stationRemoved(roomId, stationId, actor) {
+    alarmEngine.forget(roomId, stationId);
+    const zone = findAutoZone(rooms.get(roomId), stationId);
+    if (zone) removeRoomAnnotation(roomId, zone.id, actor);
+}
+
+// e.g. "CH4 1.31% - EVACUATE"
+function alarmLabel(breach) {
+    return `${breach.gas.toUpperCase()} ${breach.value}${UNITS[breach.gas]} - ${breach.level.toUpperCase()}`;
+}
+
+// Check a station's new reading against the room's thresholds. When its alarm
+// level changes, the danger zone around it is created, resized or removed and
+// the room is alerted ('gas-alarm').
+function checkGasAlarm(roomId, station, values) {
+    const room = rooms.get(roomId);
+    const zone = findAutoZone(room, station.stationId);
+    const change = alarmEngine.evaluate(roomId, station.stationId, values, mergeThresholds(room.thresholds), {
+        initialLevel: zone ? zone.level : null,
+        initialGas: zone ? zone.gas : null
+    });
+    if (!change) return;
+
+    const actor = { deviceType: 'alarm', stationId: station.stationId };
+    const zoneData = change.level && {
+        position: { ...station.position },
+        radius: AUTO_ZONE_RADIUS[change.level],
+        label: alarmLabel(change.breaches[0])
+    };
+
+    if (!change.level) {
+        if (zone) removeRoomAnnotation(roomId, zone.id, actor);
+    } else if (zone) {
+        zone.level = change.level;
+        zone.gas = change.breaches[0].gas;
+        updateRoomAnnotation(roomId, zone.id, zoneData, actor);
+    } else {
+        const annotation = createAnnotation('danger', zoneData);
+        annotation.auto = true;
+        annotation.stationId = station.stationId;
+        annotation.level = change.level;
+        annotation.gas = change.breaches[0].gas;
+        addRoomAnnotation(roomId, annotation, actor);
+    }
+
+    io.to(roomId).emit('gas-alarm', {
+        stationId: station.stationId,
+        label: station.label,
+        level: change.level,
+        previous: change.previous,
+        breaches: change.breaches
+    });
+    console.log(`Gas alarm at ${station.stationId} in room ${roomId}: ${change.previous || 'clear'} -> ${change.level || 'clear'}`);
+}
+
+// ============================================
+// REST API
+// ============================================
+function roomSummary(roomId, room) {
+    return {
+        roomId,
+        createdAt: room.createdAt,
+        annotationCount: room.annotations.length,
+        layout: room.layout,
+        hasDisplay: room.displaySocket !== null,
+        controllers: controllerList(room),
+        spectatorCount: room.spectators.length
+    };
+}
+
+// Resolve :roomId for every room route
+app.param('roomId', (req, res, next, roomId) => {
+    const room = rooms.get(roomId);
+    if (!room) {
+        return res.status(404).json({ success: false, error: 'Room not found' });
+    }
+    req.room = room;
+    next();
+});
+
+// Changes over HTTP need a session key from POST /api/rooms/:roomId/pair
+function requireSession(req, res, next) {
+    if (!isValidSessionKey(req.room, req.get('X-Session-Key'))) {
+        return res.status(401).json({ success: false, error: 'Pairing required' });
+    }
+    next();
+}
+
+// LAN addresses of this machine, so a display opened on localhost can put a
+// reachable controller URL in its pairing QR code
+app.get('/api/network', (req, res) => {
+    const addresses = [];
+    Object.values(os.networkInterfaces()).forEach(entries => {
+        (entries || []).forEach(entry => {
+            if (entry.family === 'IPv4' && !entry.internal) addresses.push(entry.address);
+        });
+    });
+    res.json({ success: true, addresses, port: PORT });
+});
+
+// List stored mine layouts
+app.get('/api/layouts', async (req, res) => {
+    try {
+        res.json({ success: true, layouts: await layoutStore.list() });
+    } catch (e) {
+        console.error('Error listing layouts:', e);
+        res.status(500).json({ success: false, error: 'Could not list layouts' });
+    }
+});
+
+// Get one layout's geometry
+app.get('/api/layouts/:name', async (req, res) => {
+    try {
+        const layout = await layoutStore.get(req.params.name);
+        if (!layout) {
+            return res.status(404).json({ success: false, error: 'Layout not found' });
+        }
+        res.json({ success: true, layout });
+    } catch (e) {
+        console.error('Error reading layout:', e);
+        res.status(500).json({ success: false, error: 'Could not read layout' });
+    }
+});
+
+// Evacuation routes from ?x=&z= to every exit and refuge, around the room's hazards
+app.get('/api/rooms/:roomId/evacuation', async (req, res) => {
+    const x = Number(req.query.x);
+    const z = Number(req.query.z);
+    if (req.query.x === undefined || req.query.z === undefined || !Number.isFinite(x) || !Number.isFinite(z)) {
+        return res.status(400).json({ success: false, error: 'x and z must be numbers' });
+    }
+
+    try {
+        const plan = await planEvacuation(req.params.roomId, { x, z });
+        if (!plan) {
+            return res.status(404).json({ success: false, error: 'Layout not found' });
+        }
+        res.json({ success: true, plan });
+    } catch (e) {
+        if (e.code === 'BUSY') {
+            return res.status(503).json({ success: false, error: 'Evacuation planner busy, try again shortly' });
+        }
+        console.error('Error planning evacuation:', e);
+        res.status(500).json({ success: false, error: 'Could not plan evacuation' });
+    }
+});
+
+// List rooms
+app.get('/api/rooms', (req, res) => {
+    const list = [];
+    rooms.forEach((room, roomId) => list.push(roomSummary(roomId, room)));
+    res.json({ success: true, rooms: list });
+});
+
+// Trade the display's pairing token for a session key ({ token })
+app.post('/api/rooms/:roomId/pair', (req, res) => {
+    const token = (req.body || {}).token;
+    if (!consumePairingToken(req.params.roomId, token)) {
+        return res.status(403).json({ success: false, error: 'Invalid pairing code' });
+    }
+
+    const sessionKey = issueSessionKey(req.params.roomId, 'api', apiActor(req));
+    console.log(`API client paired with room ${req.params.roomId}`);
+    res.status(201).json({ success: true, sessionKey });
+});
+
+// Get a room's annotations
+app.get('/api/rooms/:roomId/annotations', (req, res) => {
+    res.json({ success: true, annotations: req.room.annotations });
+});
+
+// Get a single annotation
+app.get('/api/rooms/:roomId/annotations/:annotationId', (req, res) => {
+    const annotation = req.room.annotations.find(a => a.id === req.params.annotationId);
+    if (!annotation) {
+        return res.status(404).json({ success: false, error: 'Annotation not found' });
+    }
+    res.json({ success: true, annotation });
+});
+
+// Create an annotation ({ type, ...fields })
+app.post('/api/rooms/:roomId/annotations', requireSession, (req, res) => {
+    const body = req.body || {};
+    const error = validateAnnotation(body.type, body);
+    if (error) {
+        return res.status(400).json({ success: false, error });
+    }
+
+    const conflict = annotationConflict(req.room, body.type, body);
+    if (conflict) {
+        return res.status(409).json({ success: false, error: conflict });
+    }
+
+    const annotation = createAnnotation(body.type, body);
+
+    addRoomAnnotation(req.params.roomId, annotation, apiActor(req));
+    console.log(`Annotation ${annotation.id} added via API in room ${req.params.roomId}`);
+    res.status(201).json({ success: true, annotation });
+});
+
+// Update fields of an annotation
+app.patch('/api/rooms/:roomId/annotations/:annotationId', requireSession, (req, res) => {
+    const existing = req.room.annotations.find(a => a.id === req.params.annotationId);
+    if (!existing) {
+        return res.status(404).json({ success: false, error: 'Annotation not found' });
+    }
+
+    const error = validateAnnotation(existing.type, req.body || {}, { partial: true });
+    if (error) {
+        return res.status(400).json({ success: false, error });
+    }
+
+    const annotation = updateRoomAnnotation(req.params.roomId, req.params.annotationId, req.body || {}, apiActor(req));
+
+    console.log(`Annotation ${annotation.id} updated via API in room ${req.params.roomId}`);
+    res.json({ success: true, annotation });
+});
+
+// Delete an annotation
+app.delete('/api/rooms/:roomId/annotations/:annotationId', requireSession, (req, res) => {
+    if (!removeRoomAnnotation(req.params.roomId, req.params.annotationId, apiActor(req))) {
+        return res.status(404).json({ success: false, error: 'Annotation not found' });
+    }
+
+    console.log(`Annotation ${req.params.annotationId} removed via API in room ${req.params.roomId}`);
+    res.json({ success: true });
+});
+
+// Latest reading of every sensor station in a room
+app.get('/api/rooms/:roomId/sensors', (req, res) => {
+    res.json({ success: true, readings: latestReadings(req.params.roomId) });
+});
+
+// Report a sensor station's reading ({ o2, ch4, co, temperature }, at least one)
+app.post('/api/rooms/:roomId/sensors/:stationId/readings', requireSession, (req, res) => {
+    if (!findStation(req.room, req.params.stationId)) {
+        return res.status(404).json({ success: false, error: 'Sensor station not found' });
+    }
+
+    const values = pickReading(req.body || {});
+    const error = validateReading(values);
+    if (error) {
+        return res.status(400).json({ success: false, error });
+    }
+
+    const reading = recordSensorReading(req.params.roomId, req.params.stationId, values);
+    res.status(201).json({ success: true, reading });
+});
+
+// Readings of a station over time: ?from=&to= (ISO time or ms; default the last hour)
+// and ?points= (at most this many buckets, default 300), each with the min, average
+// and max of every value in it
+app.get('/api/rooms/:roomId/sensors/:stationId/history', async (req, res) => {
+    if (!findStation(req.room, req.params.stationId)) {
+        return res.status(404).json({ success: false, error: 'Sensor station not found' });
+    }
+
+    const parseTime = (value, fallback) => {
+        if (value === undefined) return fallback;
+        return /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+    };
+    const to = parseTime(req.query.to, Date.now());
+    const from = parseTime(req.query.from, to - 60 * 60 * 1000);
+    const points = req.query.points === undefined ? 300 : Number(req.query.points);
+
+    if (!Number.isFinite(from) || !Number.isFinite(to) || from >= to) {
+        return res.status(400).json({ success: false, error: 'from and to must be times, from before to' });
+    }
+    if (to - from > sensorHistory.maxRange) {
+        return res.status(400).json({ success: false, error: 'Range is longer than the history kept' });
+    }
+    if (!Number.isInteger(points) || points < 1 || points > 1000) {
+        return res.status(400).json({ success: false, error: 'points must be a whole number from 1 to 1000' });
+    }
+
+    try {
+        const { resolution, buckets } = await sensorHistory.query(req.params.roomId, req.params.stationId, from, to, points);
+        const round = (value) => Math.round(value * 1000) / 1000;
+        res.json({
+            success: true,
+            stationId: req.params.stationId,
+            from: new Date(from).toISOString(),
+            to: new Date(to).toISOString(),
+            resolution,
+            series: buckets.map(bucket => {
+                const values = {};
+                Object.keys(bucket.values).forEach(field => {
+                    const { min, avg, max } = bucket.values[field];
+                    values[field] = { min, avg: round(avg), max };
+                });
+                return { at: new Date(bucket.t).toISOString(), values };
+            })
+        });
+    } catch (e) {
+        console.error('Error reading sensor history:', e);
+        res.status(500).json({ success: false, error: 'Could not read sensor history' });
+    }
+});
+
+// Last known position of every tracked worker in a room
+app.get('/api/rooms/:roomId/workers', (req, res) => {
+    res.json({ success: true, workers: currentWorkers(req.params.roomId) });
+});
+
+// Report a worker's position ({ name, position: { x, z } }; name is remembered)
+app.post('/api/rooms/:roomId/workers/:workerId/position', requireSession, (req, res) => {
+    const report = { ...req.body, workerId: req.params.workerId };
+    const error = validateWorkerPosition(report);
+    if (error) {
+        return res.status(400).json({ success: false, error });
+    }
+
+    const worker = recordWorkerPosition(req.params.roomId, report);
+    if (!worker) {
+        return res.status(409).json({ success: false, error: `Room already tracks ${WORKER_LIMIT} workers` });
+    }
+    res.status(201).json({ success: true, worker });
+});
+
+// Stop tracking a worker
+app.delete('/api/rooms/:roomId/workers/:workerId', requireSession, (req, res) => {
+    if (!removeWorker(req.params.roomId, req.params.workerId)) {
+        return res.status(404).json({ success: false, error: 'Worker not found' });
+    }
+    res.json({ success: true });
+});
+
+// Gas alarm thresholds in effect in a room
+app.get('/api/rooms/:roomId/thresholds', (req, res) => {
+    res.json({ success: true, thresholds: mergeThresholds(req.room.thresholds) });
+});
+
+// Set a room's thresholds ({ ch4: { warning, evacuate }, co, o2 }); anything left out keeps its default
+app.put('/api/rooms/:roomId/thresholds', requireSession, (req, res) => {
+    const body = req.body || {};
+    const thresholds = mergeThresholds(body);
+    const error = validateThresholds(body) || thresholdOrderError(thresholds);
+    if (error) {
+        return res.status(400).json({ success: false, error });
+    }
+
+    setRoomThresholds(req.params.roomId, thresholds, apiActor(req));
+    console.log(`Gas thresholds changed in room ${req.params.roomId}`);
+    res.json({ success: true, thresholds });
+});
+
+// Assign a mine layout to a room: { name } of a stored layout, or { layout } to upload one.
+// Every display in the room rebuilds its mine from it.
+app.put('/api/rooms/:roomId/layout', requireSession, async (req, res) => {
+    const body = req.body || {};
+    try {
+        let name = body.name;
+        let layout;
+
+        if (body.layout !== undefined) {
+            const error = validateLayout(body.layout);
+            if (error) {
+                return res.status(400).json({ success: false, error });
+            }
+            layout = body.layout;
+            name = await layoutStore.save(layout);
+        } else {
+            layout = typeof name === 'string' ? await layoutStore.get(name) : null;
+            if (!layout) {
+                return res.status(404).json({ success: false, error: 'Layout not found' });
+            }
+        }
+
+        setRoomLayout(req.params.roomId, name, layout, apiActor(req));
+        console.log(`Layout ${name} assigned to room ${req.params.roomId}`);
+        res.json({ success: true, name });
+    } catch (e) {
+        console.error('Error assigning layout:', e);
+        res.status(500).json({ success: false, error: 'Could not store layout' });
+    }
+});
+
+// Audit trail of every change in a room (?since=<seq> for newer entries only).
+// Entries name devices and client addresses, so only paired clients may read it.
+app.get('/api/rooms/:roomId/journal', requireSession, async (req, res) => {
+    try {
+        const entries = await journal.auditTrail(req.params.roomId, parseInt(req.query.since) || 0);
+        res.json({ success: true, entries });
+    } catch (e) {
+        console.error('Error reading journal:', e);
+        res.status(500).json({ success: false, error: 'Could not read journal' });
+    }
+});
+
+// Make socket the room's display and return what it needs to pick up the room
+function attachDisplay(socket, roomId) {
+    const room = rooms.get(roomId);
+    // After a network blip the display is often back before the server has
+    // noticed its old socket is dead; the caller has proven it is the room's
+    // display, so drop the stale socket
+    const staleSocket = room.displaySocket && io.sockets.sockets.get(room.displaySocket);
+    room.displaySocket = socket.id;
+    if (staleSocket && staleSocket.id !== socket.id) staleSocket.disconnect(true);
+
+    pairSocket(socket, roomId);
+    socket.deviceType = 'display';
+    room.reclaimToken = null;
+    // Tokens are not persisted, so a restarted server needs a new one
+    if (!room.pairingToken) room.pairingToken = generatePairingToken();
+
+    emitToControllers(room, 'display-reconnected');
+
+    return {
+        success: true,
+        pairingToken: room.pairingToken,
+        annotations: room.annotations,
+        controllers: controllerList(room),
+        layout: room.layout,
+        sensorReadings: latestReadings(roomId),
+        workers: currentWorkers(roomId),
+        thresholds: mergeThresholds(room.thresholds)
+    };
+}
+
+// Events a spectator display may send; everything else is rejected
+const SPECTATOR_EVENTS = new Set(['join-spectator']);
+
+// Events that establish pairing; everything else needs a socket paired with data.roomId
+const PAIRING_EVENTS = new Set(['create-room', 'join-room', 'join-spectator', 'reconnect-room', 'reclaim-room']);
+
+// Tell the sender why an event was dropped: through its acknowledgement if it
+// passed one, otherwise with a separate reply event
+function replyRejected(socket, event, args, replyEvent, error) {
+    const ack = args[args.length - 1];
+    if (typeof ack === 'function') {
+        ack({ success: false, error });
+    } else {
+        socket.emit(replyEvent, { event, error });
+    }
+}
+
 // Socket.IO connection handling
 io.on('connection', (socket) => {
     console.log(`Client connected: ${socket.id}`);
 
+    // Spectators are read-only: drop movement, annotation and placement events
+    socket.use(([event], next) => {
+        if (socket.deviceType === 'spectator' && !SPECTATOR_EVENTS.has(event)) {
+            return next(new Error(`Spectators cannot send ${event}`));
+        }
+        next();
+    });
+
+    // Every payload must match its declared schema (server/schemas.js), and
+    // anything after it can only be an acknowledgement callback. Invalid events
+    // never reach a handler, so nothing invalid is stored or broadcast.
+    socket.use(([event, ...args], next) => {
+        const takesPayload = EVENT_SCHEMAS[event] !== null;
+        const extra = args.slice(takesPayload ? 1 : 0);
+        const error = validateEvent(event, takesPayload ? args[0] : undefined) ||
+            (extra.length > 1 || (extra.length === 1 && typeof extra[0] !== 'function')
+                ? `${event} takes ${takesPayload ? 'a payload and ' : ''}an optional acknowledgement callback only`
+                : null);
+        if (!error) return next();
+
+        replyRejected(socket, event, args, 'validation-error', error);
+        next(new Error(error));
+    });
+
+    // Handlers look rooms up by data.roomId, so only let through events for the
+    // room this socket has paired with
+    socket.use(([event, ...args], next) => {
+        if (PAIRING_EVENTS.has(event) || args[0].roomId === socket.pairedRoom) return next();
+
+        const error = 'Not paired with this room';
+        replyRejected(socket, event, args, 'pairing-error', error);
+        next(new Error(`${error} (${event} for room ${args[0].roomId})`));
+    });
+
+    // Events rejected by the middleware above end up here
+    socket.on('error', (err) => {
+        console.warn(`Rejected event from ${socket.id}: ${err.message}`);
+    });
+
     // Create a new room (from display client)
     socket.on('create-room', (callback) => {
         const roomCode = generateRoomCode();
+        const createdAt = new Date().toISOString();
         rooms.set(roomCode, {
             displaySocket: socket.id,
-            controllerSocket: null,
+            controllers: [],
+            spectators: [],
             annotations: [],
-            createdAt: new Date().toISOString()
+            createdAt,
+            pairingToken: generatePairingToken(),
+            reclaimToken: null,
+            sessionKeys: new Map(),
+            clientIds: new Set(),
+            // Name of the assigned layout; null means each display shows its own choice
+            layout: null,
+            // Gas alarm thresholds; null means the defaults (see alarms.js)
+            thresholds: null
         });
-        socket.join(roomCode);
-        socket.roomId = roomCode;
+        pairSocket(socket, roomCode);
         socket.deviceType = 'display';
+        journal.append(roomCode, socketActor(socket), 'create-room', { createdAt });
+        const sessionKey = issueSessionKey(roomCode, 'display', socketActor(socket));
 
         console.log(`Room created: ${roomCode} by display ${socket.id}`);
 
-        if (callback) callback({ success: true, roomCode });
+        if (typeof callback === 'function') callback({
+            success: true,
+            roomCode,
+            pairingToken: rooms.get(roomCode).pairingToken,
+            sessionKey,
+            thresholds: mergeThresholds(null)
+        });
     });
 
-    // Join an existing room (from controller client)
-    socket.on('join-room', (roomCode, callback) => {
+    // Join an existing room (from controller client) with the display's pairing token
+    socket.on('join-room', (data, callback) => {
+        const { roomId: roomCode, token, name } = data;
         const room = rooms.get(roomCode);
 
         if (!room) {
-            if (callback) callback({ success: false, error: 'Room not found' });
+            if (typeof callback === 'function') callback({ success: false, error: 'Room not found' });
             return;
         }
 
-        room.controllerSocket = socket.id;
-        socket.join(roomCode);
-        socket.roomId = roomCode;
-        socket.deviceType = 'controller';
+        if (!consumePairingToken(roomCode, token)) {
+            if (typeof callback === 'function') callback({ success: false, error: 'Invalid pairing code' });
+            console.warn(`Rejected pairing attempt for room ${roomCode} from ${socket.id}`);
+            return;
+        }
 
-        // Notify display that controller connected
-        io.to(room.displaySocket).emit('controller-connected');
+        const controller = addController(roomCode, socket, name);
+        const sessionKey = issueSessionKey(roomCode, 'controller', socketActor(socket));
 
         // Send existing annotations to controller
-        if (callback) callback({
+        if (typeof callback === 'function') callback({
             success: true,
-            annotations: room.annotations
+            name: controller.name,
+            sessionKey,
+            annotations: room.annotations,
+            controllers: controllerList(room),
+            history: historyState(roomCode)
         });
 
-        console.log(`Controller ${socket.id} joined room ${roomCode}`);
+        console.log(`Controller ${controller.name} (${socket.id}) joined room ${roomCode}`);
+    });
+
+    // Join an existing room as a read-only spectator display
+    socket.on('join-spectator', (data, callback) => {
+        const room = rooms.get(data.roomId);
+
+        if (!room) {
+            if (typeof callback === 'function') callback({ success: false, error: 'Room not found' });
+            return;
+        }
+
+        room.spectators.push(socket.id);
+        socket.join(data.roomId);
+        socket.roomId = data.roomId;
+        socket.deviceType = 'spectator';
+
+        if (typeof callback === 'function') callback({
+            success: true,
+            annotations: room.annotations,
+            controllers: controllerList(room),
+            layout: room.layout,
+            sensorReadings: latestReadings(data.roomId),
+            workers: currentWorkers(data.roomId),
+            thresholds: mergeThresholds(room.thresholds)
+        });
+
+        console.log(`Spectator ${socket.id} joined room ${data.roomId}`);
     });
 
     // Handle tablet movement data (motion sensor mode)
@@ -216,197 +1485,338 @@ io.on('connection', (socket) => {
         }
     });
 
-    // Handle adding danger zone
-    socket.on('add-danger-zone', (data) => {
+    // Shared by the add-* handlers below. An action whose clientId was already
+    // applied (a replay from the controller's offline queue) is acknowledged but ignored.
+    function addAnnotationFromSocket(type, data, callback) {
         const room = rooms.get(data.roomId);
-        if (room) {
-            const annotation = {
-                id: `danger_${Date.now()}`,
-                type: 'danger',
-                position: data.position,
-                radius: data.radius || 5,
-                label: data.label || 'Danger Zone',
-                createdAt: new Date().toISOString()
-            };
-            room.annotations.push(annotation);
-            saveRoomState(data.roomId);
+        if (!room) {
+            if (typeof callback === 'function') callback({ success: false, error: 'Room not found' });
+            return null;
+        }
 
-            // Broadcast to all clients in room
-            io.to(data.roomId).emit('annotation-added', annotation);
+        if (data.clientId && room.clientIds.has(data.clientId)) {
+            if (typeof callback === 'function') callback({ success: true, duplicate: true });
+            return null;
+        }
+
+        const conflict = annotationConflict(room, type, data);
+        if (conflict) {
+            if (typeof callback === 'function') callback({ success: false, error: conflict });
+            return null;
+        }
+
+        const annotation = createAnnotation(type, data);
+        addRoomAnnotation(data.roomId, annotation, socketActor(socket), data.clientId);
+        if (typeof callback === 'function') callback({ success: true, annotation });
+        return annotation;
+    }
+
+    // Handle adding danger zone
+    socket.on('add-danger-zone', (data, callback) => {
+        if (addAnnotationFromSocket('danger', data, callback)) {
             console.log(`Danger zone added in room ${data.roomId}`);
         }
     });
 
     // Handle adding directional arrow
-    socket.on('add-arrow', (data) => {
-        const room = rooms.get(data.roomId);
-        if (room) {
-            const annotation = {
-                id: `arrow_${Date.now()}`,
-                type: 'arrow',
-                start: data.start,
-                end: data.end,
-                label: data.label || 'Direction',
-                createdAt: new Date().toISOString()
-            };
-            room.annotations.push(annotation);
-            saveRoomState(data.roomId);
-
-            io.to(data.roomId).emit('annotation-added', annotation);
+    socket.on('add-arrow', (data, callback) => {
+        if (addAnnotationFromSocket('arrow', data, callback)) {
             console.log(`Arrow added in room ${data.roomId}`);
         }
     });
 
     // Handle adding incident marker
-    socket.on('add-incident', (data) => {
-        const room = rooms.get(data.roomId);
-        if (room) {
-            const annotation = {
-                id: `incident_${Date.now()}`,
-                type: 'incident',
-                position: data.position,
-                date: data.date || new Date().toISOString().split('T')[0],
-                description: data.description || 'Incident reported',
-                severity: data.severity || 'medium',
-                createdAt: new Date().toISOString()
-            };
-            room.annotations.push(annotation);
-            saveRoomState(data.roomId);
-
-            io.to(data.roomId).emit('annotation-added', annotation);
+    socket.on('add-incident', (data, callback) => {
+        if (addAnnotationFromSocket('incident', data, callback)) {
             console.log(`Incident marker added in room ${data.roomId}`);
         }
     });
 
     // Handle adding restricted zone
-    socket.on('add-restricted-zone', (data) => {
+    socket.on('add-restricted-zone', (data, callback) => {
+        if (addAnnotationFromSocket('restricted', data, callback)) {
+            console.log(`Restricted zone added in room ${data.roomId}`);
+        }
+    });
+
+    // Handle placing a sensor station
+    socket.on('add-sensor-station', (data, callback) => {
+        if (addAnnotationFromSocket('sensor', data, callback)) {
+            console.log(`Sensor station ${data.stationId} added in room ${data.roomId}`);
+        }
+    });
+
+    // A reading from a sensor station; every device in the room is sent it ('sensor-updated')
+    socket.on('sensor-reading', (data, callback) => {
         const room = rooms.get(data.roomId);
-        if (room) {
-            const annotation = {
-                id: `restricted_${Date.now()}`,
-                type: 'restricted',
-                vertices: data.vertices,
-                active: data.active !== undefined ? data.active : true,
-                createdAt: new Date().toISOString()
-            };
-            room.annotations.push(annotation);
-            saveRoomState(data.roomId);
+        if (!room) {
+            if (typeof callback === 'function') callback({ success: false, error: 'Room not found' });
+            return;
+        }
 
-            io.to(data.roomId).emit('annotation-added', annotation);
-            console.log(`Restricted zone added in room ${data.roomId}`);
+        if (!findStation(room, data.stationId)) {
+            if (typeof callback === 'function') callback({ success: false, error: 'Sensor station not found' });
+            return;
+        }
+
+        const values = pickReading(data);
+        const error = validateReading(values);
+        if (error) {
+            if (typeof callback === 'function') callback({ success: false, error });
+            else socket.emit('validation-error', { event: 'sensor-reading', error });
+            return;
+        }
+
+        const reading = recordSensorReading(data.roomId, data.stationId, values);
+        if (typeof callback === 'function') callback({ success: true, reading });
+    });
+
+    // A tracked worker's position; every device in the room is sent it ('worker-updated')
+    socket.on('worker-position', (data, callback) => {
+        if (!rooms.has(data.roomId)) {
+            if (typeof callback === 'function') callback({ success: false, error: 'Room not found' });
+            return;
+        }
+
+        const worker = recordWorkerPosition(data.roomId, data);
+        if (!worker) {
+            if (typeof callback === 'function') callback({ success: false, error: `Room already tracks ${WORKER_LIMIT} workers` });
+            return;
+        }
+        if (typeof callback === 'function') callback({ success: true, worker });
+    });
+
+    // Handle editing an existing annotation
+    socket.on('update-annotation', (data, callback) => {
+        const room = rooms.get(data.roomId);
+        if (!room) {
+            if (typeof callback === 'function') callback({ success: false, error: 'Room not found' });
+            return;
+        }
+
+        const existing = room.annotations.find(a => a.id === data.annotationId);
+        if (!existing) {
+            if (typeof callback === 'function') callback({ success: false, error: 'Annotation not found' });
+            return;
         }
+
+        const error = validateAnnotation(existing.type, data.changes, { partial: true });
+        if (error) {
+            if (typeof callback === 'function') callback({ success: false, error });
+            else socket.emit('validation-error', { event: 'update-annotation', error });
+            return;
+        }
+
+        const annotation = updateRoomAnnotation(data.roomId, data.annotationId, data.changes, socketActor(socket));
+
+        if (typeof callback === 'function') callback({ success: true, annotation });
+        console.log(`Annotation ${annotation.id} updated to v${annotation.version} in room ${data.roomId}`);
     });
 
     // Handle clearing all annotations
     socket.on('clear-annotations', (data) => {
         const room = rooms.get(data.roomId);
         if (room) {
-            room.annotations = [];
-            saveRoomState(data.roomId);
-
-            io.to(data.roomId).emit('annotations-cleared');
+            clearRoomAnnotations(data.roomId, socketActor(socket));
             console.log(`All annotations cleared in room ${data.roomId}`);
         }
     });
 
+    // Handle undo / redo of annotation changes
+    ['undo', 'redo'].forEach(direction => {
+        socket.on(direction, (data, callback) => {
+            const room = rooms.get(data.roomId);
+            if (!room) {
+                if (typeof callback === 'function') callback({ success: false, error: 'Room not found' });
+                return;
+            }
+
+            const entry = stepHistory(data.roomId, direction, socketActor(socket));
+            if (!entry) {
+                if (typeof callback === 'function') callback({ success: false, error: `Nothing to ${direction}` });
+                return;
+            }
+
+            if (typeof callback === 'function') callback({ success: true, action: entry.action, ...historyState(data.roomId) });
+            console.log(`${direction} ${entry.action} in room ${data.roomId}`);
+        });
+    });
+
     // Handle removing specific annotation
     socket.on('remove-annotation', (data) => {
         const room = rooms.get(data.roomId);
         if (room) {
-            room.annotations = room.annotations.filter(a => a.id !== data.annotationId);
-            saveRoomState(data.roomId);
-
-            io.to(data.roomId).emit('annotation-removed', { id: data.annotationId });
+            removeRoomAnnotation(data.roomId, data.annotationId, socketActor(socket));
             console.log(`Annotation ${data.annotationId} removed in room ${data.roomId}`);
         }
     });
 
-    // Handle camera position update (for placing annotations)
+    // Evacuation routes from a position; the socket is sent a new plan
+    // ('evacuation-plan') whenever the room's hazards change, until it stops
+    socket.on('request-evacuation-plan', (data, callback) => {
+        const room = rooms.get(data.roomId);
+        if (!room) {
+            if (typeof callback === 'function') callback({ success: false, error: 'Room not found' });
+            return;
+        }
+
+        const position = { x: data.position.x, z: data.position.z };
+        planEvacuation(data.roomId, position)
+            .then(plan => {
+                if (!plan) {
+                    if (typeof callback === 'function') callback({ success: false, error: 'Layout not found' });
+                    return;
+                }
+                watchEvacuation(data.roomId, socket.id, position);
+                if (typeof callback === 'function') callback({ success: true, plan });
+            })
+            .catch(e => {
+                if (e.code !== 'BUSY') console.error('Error planning evacuation:', e);
+                const error = e.code === 'BUSY' ? 'Evacuation planner busy, try again shortly' : 'Could not plan evacuation';
+                if (typeof callback === 'function') callback({ success: false, error });
+            });
+    });
+
+    socket.on('stop-evacuation-plan', () => {
+        unwatchEvacuation(socket.id);
+    });
+
+    // Handle camera position update (for placing annotations and spectator views)
     socket.on('camera-position', (data) => {
         const room = rooms.get(data.roomId);
-        if (room && room.controllerSocket) {
-            io.to(room.controllerSocket).emit('camera-position-update', data.position);
+        if (room && room.displaySocket === socket.id) {
+            emitToControllers(room, 'camera-position-update', {
+                position: data.position,
+                rotation: data.rotation
+            });
+            emitToSockets(room.spectators, 'spectator-camera-update', {
+                position: data.position,
+                rotation: data.rotation
+            });
         }
     });
 
-    // Handle touch position for placing annotations
+    // A controller opened a placement modal: the display previews the marker
+    // where its crosshair points and streams the spot back
     socket.on('request-placement', (data) => {
         const room = rooms.get(data.roomId);
         if (room && room.displaySocket) {
             io.to(room.displaySocket).emit('get-placement-position', {
                 type: data.type,
-                callback: data.callback
+                radius: data.radius,
+                controllerId: socket.id
             });
         }
     });
 
-    // Handle placement position response
+    // Raycast result from the display ({ position, normal, surface, anchor })
     socket.on('placement-position', (data) => {
         const room = rooms.get(data.roomId);
-        if (room && room.controllerSocket) {
-            io.to(room.controllerSocket).emit('placement-position-response', data.position);
+        if (room && room.displaySocket === socket.id) {
+            const response = {
+                position: data.position,
+                normal: data.normal,
+                surface: data.surface,
+                anchor: data.anchor || data.position
+            };
+            if (room.controllers.some(c => c.socketId === data.controllerId)) {
+                io.to(data.controllerId).emit('placement-position-response', response);
+            } else {
+                emitToControllers(room, 'placement-position-response', response);
+            }
+        }
+    });
+
+    // The placement modal was closed; drop the preview
+    socket.on('end-placement', (data) => {
+        const room = rooms.get(data.roomId);
+        if (room && room.displaySocket) {
+            io.to(room.displaySocket).emit('placement-ended', { controllerId: socket.id });
         }
     });
 
     // Handle disconnect
     socket.on('disconnect', () => {
         console.log(`Client disconnected: ${socket.id}`);
+        unwatchEvacuation(socket.id);
 
         if (socket.roomId) {
             const room = rooms.get(socket.roomId);
             if (room) {
-                if (socket.deviceType === 'display') {
-                    // Display disconnected - notify controller
-                    if (room.controllerSocket) {
-                        io.to(room.controllerSocket).emit('display-disconnected');
-                    }
+                if (socket.deviceType === 'display' && room.displaySocket === socket.id) {
+                    // Display disconnected - notify controllers and spectators
+                    emitToControllers(room, 'display-disconnected');
+                    emitToSockets(room.spectators, 'display-disconnected');
                     // Keep room for potential reconnection
                     room.displaySocket = null;
+                    offerReclaim(socket.roomId);
                 } else if (socket.deviceType === 'controller') {
                     // Controller disconnected - notify display
+                    removeController(socket.roomId, socket.id);
                     if (room.displaySocket) {
-                        io.to(room.displaySocket).emit('controller-disconnected');
+                        io.to(room.displaySocket).emit('placement-ended', { controllerId: socket.id });
                     }
-                    room.controllerSocket = null;
+                } else if (socket.deviceType === 'spectator') {
+                    room.spectators = room.spectators.filter(id => id !== socket.id);
                 }
             }
         }
     });
 
-    // Handle reconnection
+    // Take over a room that has no live display with the code the server printed
+    // (see offerReclaim); the display gets a new session key
+    socket.on('reclaim-room', (data, callback) => {
+        const room = rooms.get(data.roomId);
+        if (!room) {
+            if (typeof callback === 'function') callback({ success: false, error: 'Room not found' });
+            return;
+        }
+        if (room.displaySocket && io.sockets.sockets.has(room.displaySocket)) {
+            if (typeof callback === 'function') callback({ success: false, error: 'Room already has a display' });
+            return;
+        }
+        if (!consumeReclaimToken(data.roomId, data.token)) {
+            if (typeof callback === 'function') callback({ success: false, error: 'Invalid reclaim code' });
+            console.warn(`Rejected reclaim attempt for room ${data.roomId} from ${socket.id}`);
+            return;
+        }
+
+        const response = attachDisplay(socket, data.roomId);
+        response.sessionKey = issueSessionKey(data.roomId, 'display', socketActor(socket));
+        if (typeof callback === 'function') callback(response);
+        console.log(`Display ${socket.id} reclaimed room ${data.roomId}`);
+    });
+
+    // Handle reconnection (requires the session key handed out when the device
+    // paired, as the same kind of device: a controller's or an API client's key
+    // must not take over the display). Keys from before device types were
+    // recorded may only rejoin as a controller.
     socket.on('reconnect-room', (data, callback) => {
         const room = rooms.get(data.roomId);
-        if (room) {
-            if (data.deviceType === 'display' && !room.displaySocket) {
-                room.displaySocket = socket.id;
-                socket.join(data.roomId);
-                socket.roomId = data.roomId;
-                socket.deviceType = 'display';
+        const keyDevice = room && sessionKeyDevice(room, data.sessionKey);
+        if (room && keyDevice !== data.deviceType && !(keyDevice === null && data.deviceType === 'controller')) {
+            if (typeof callback === 'function') callback({ success: false, error: 'Pairing required' });
+            if (keyDevice !== undefined) {
+                console.warn(`Rejected ${keyDevice || 'legacy'} session key reconnecting as ${data.deviceType} to room ${data.roomId}`);
+            }
+        } else if (room) {
+            if (data.deviceType === 'display') {
+                if (typeof callback === 'function') callback(attachDisplay(socket, data.roomId));
+                console.log(`Display ${socket.id} rejoined room ${data.roomId}`);
+            } else {
+                const controller = addController(data.roomId, socket, data.name);
 
-                if (callback) callback({
+                if (typeof callback === 'function') callback({
                     success: true,
+                    name: controller.name,
                     annotations: room.annotations,
-                    hasController: room.controllerSocket !== null
+                    controllers: controllerList(room),
+                    history: historyState(data.roomId)
                 });
-            } else if (data.deviceType === 'controller' && !room.controllerSocket) {
-                room.controllerSocket = socket.id;
-                socket.join(data.roomId);
-                socket.roomId = data.roomId;
-                socket.deviceType = 'controller';
-
-                if (room.displaySocket) {
-                    io.to(room.displaySocket).emit('controller-connected');
-                }
-
-                if (callback) callback({
-                    success: true,
-                    annotations: room.annotations
-                });
-            } else {
-                if (callback) callback({ success: false, error: 'Device type already connected' });
+                console.log(`Controller ${controller.name} (${socket.id}) rejoined room ${data.roomId}`);
             }
         } else {
-            if (callback) callback({ success: false, error: 'Room not found' });
+            if (typeof callback === 'function') callback({ success: false, error: 'Room not found' });
         }
     });
 });
@@ -426,4 +1836,8 @@ server.listen(PORT, () => {
 ║                                                           ║
 ╚═══════════════════════════════════════════════════════════╝
     `);
+
+    // Restored rooms have no display yet. One that still has its session key
+    // rejoins by itself; any other needs a code.
+    rooms.forEach((room, roomId) => offerReclaim(roomId));
 });
@@ -0,0 +1,121 @@
+// Gas alarm thresholds and levels (server/alarms.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createAlarmEngine, mergeThresholds, thresholdOrderError, findBreaches } = require('../server/alarms');
+
+const THRESHOLDS = mergeThresholds(null);
+const HOLD_OFF = 1000;
+
+// Feed readings to one station of a fresh engine; returns the evaluate() results
+function feed(readings, options = {}) {
+    const engine = createAlarmEngine({ holdOff: HOLD_OFF });
+    return readings.map(([now, values], i) => engine.evaluate('1234', 'GAS-1', values, THRESHOLDS, {
+        now,
+        ...(i === 0 ? options : {})
+    }));
+}
+
+const levels = (results) => results.map(result => (result ? result.level : '-'));
+
+test('room overrides are merged over the defaults', () => {
+    const merged = mergeThresholds({ ch4: { warning: 0.8 } });
+    assert.deepEqual(merged.ch4, { warning: 0.8, evacuate: 1.25 });
+    assert.deepEqual(merged.o2, { warning: 19.5, evacuate: 18.0 });
+});
+
+test('evacuate must be the more extreme threshold', () => {
+    assert.equal(thresholdOrderError(mergeThresholds(null)), null);
+    assert.equal(thresholdOrderError(mergeThresholds({ ch4: { warning: 2 } })), 'ch4.evacuate must be at or above ch4.warning');
+    assert.equal(thresholdOrderError(mergeThresholds({ o2: { evacuate: 20 } })), 'o2.evacuate must be at or below o2.warning');
+});
+
+test('oxygen alarms when it falls, the other gases when they rise', () => {
+    const breaches = findBreaches({ o2: 17.9, ch4: 1.1, co: 10 }, THRESHOLDS);
+    assert.deepEqual(breaches.map(b => `${b.gas}:${b.level}`), ['o2:evacuate', 'ch4:warning']);
+    assert.deepEqual(findBreaches({ o2: 20.9, ch4: 0.2 }, THRESHOLDS), []);
+});
+
+test('the level rises with the first breaching reading', () => {
+    const results = feed([
+        [0, { ch4: 0.5 }],
+        [1, { ch4: 1.1 }],
+        [2, { ch4: 1.3 }],
+        [3, { ch4: 1.3 }]
+    ]);
+    assert.deepEqual(levels(results), ['-', 'warning', 'evacuate', '-']);
+    assert.deepEqual(results[2], {
+        level: 'evacuate',
+        previous: 'warning',
+        breaches: [{ gas: 'ch4', value: 1.3, level: 'evacuate', threshold: 1.25 }]
+    });
+});
+
+test('the level only falls once the gas has stayed below for the hold-off', () => {
+    const results = feed([
+        [0, { ch4: 1.3 }],
+        [100, { ch4: 0.5 }],
+        [600, { ch4: 1.3 }],      // back up: the hold-off starts over
+        [700, { ch4: 0.5 }],
+        [1500, { ch4: 0.5 }],
+        [1700, { ch4: 0.5 }]
+    ]);
+    assert.deepEqual(levels(results), ['evacuate', '-', '-', '-', '-', null]);
+});
+
+test('a reading without a gas does not count toward clearing it', () => {
+    const results = feed([
+        [0, { ch4: 1.3, o2: 20.9 }],
+        [100, { o2: 20.9 }],
+        [5000, { o2: 20.9, temperature: 30 }],
+        [6000, { ch4: 0.2 }],
+        [6500, { o2: 20.9 }],
+        [7100, { ch4: 0.2 }]
+    ]);
+    assert.deepEqual(levels(results), ['evacuate', '-', '-', '-', '-', null]);
+});
+
+test('a reading without any alarmed gas is ignored', () => {
+    assert.deepEqual(levels(feed([[0, { ch4: 1.3 }], [5000, { temperature: 40 }]])), ['evacuate', '-']);
+});
+
+test('each gas holds its own level', () => {
+    const results = feed([
+        [0, { ch4: 1.1 }],
+        [100, { co: 60 }],
+        [200, { co: 5 }],
+        [1300, { co: 5 }]
+    ]);
+    assert.deepEqual(levels(results), ['warning', 'evacuate', '-', 'warning']);
+    assert.deepEqual(results[3].breaches, [{ gas: 'ch4', value: 1.1, level: 'warning', threshold: 1.0 }]);
+});
+
+test('a station seen for the first time can be seeded with its zone level', () => {
+    // The zone says CH4: readings without CH4 leave it in place
+    assert.deepEqual(
+        levels(feed([[0, { o2: 20.9 }], [5000, { o2: 20.9 }]], { initialLevel: 'evacuate', initialGas: 'ch4' })),
+        ['-', '-']
+    );
+    // Gas unknown: the gases of the first reading hold the level, and clear as usual
+    assert.deepEqual(
+        levels(feed([[0, { ch4: 0.2 }], [2000, { ch4: 0.2 }]], { initialLevel: 'warning' })),
+        ['-', null]
+    );
+});
+
+test('forgotten stations start over', () => {
+    const engine = createAlarmEngine({ holdOff: HOLD_OFF });
+    const evaluate = (roomId, stationId) => engine.evaluate(roomId, stationId, { ch4: 1.3 }, THRESHOLDS, { now: 0 });
+
+    assert.equal(evaluate('1234', 'A').level, 'evacuate');
+    assert.equal(evaluate('1234', 'A'), null);
+    engine.forget('1234', 'A');
+    assert.equal(evaluate('1234', 'A').level, 'evacuate');
+
+    evaluate('1234', 'B');
+    evaluate('5678', 'A');
+    engine.forgetRoom('1234');
+    assert.equal(evaluate('1234', 'A').level, 'evacuate');
+    assert.equal(evaluate('1234', 'B').level, 'evacuate');
+    assert.equal(evaluate('5678', 'A'), null);
+});
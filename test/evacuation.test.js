@@ -0,0 +1,79 @@
+// Evacuation planner (server/evacuation.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEvacuationPlanner, isHazard, hazardKey } = require('../server/evacuation');
+
+// A 40 x 10 m drift with a way out at each end
+const wall = (x1, z1, x2, z2) => ({ start: { x: x1, z: z1 }, end: { x: x2, z: z2 } });
+const LAYOUT = {
+    walls: [wall(0, 0, 40, 0), wall(40, 0, 40, 10), wall(40, 10, 0, 10), wall(0, 10, 0, 0)],
+    bounds: { minX: 0, maxX: 40, minZ: 0, maxZ: 10 },
+    exits: [
+        { x: 2, z: 5, label: 'West Portal', kind: 'exit' },
+        { x: 38, z: 5, label: 'East Refuge', kind: 'refuge' }
+    ]
+};
+
+function createPlanner() {
+    return createEvacuationPlanner({ getLayout: async (name) => (name === 'drift' ? LAYOUT : null) });
+}
+
+const danger = (id, x, version) => ({ id, type: 'danger', position: { x, y: 0, z: 5 }, radius: 3, version });
+
+test('danger zones and active restricted zones are hazards', () => {
+    assert.equal(isHazard({ type: 'danger' }), true);
+    assert.equal(isHazard({ type: 'restricted' }), true);
+    assert.equal(isHazard({ type: 'restricted', active: false }), false);
+    assert.equal(isHazard({ type: 'incident' }), false);
+
+    const annotations = [danger('d1', 10, 1), { id: 'i1', type: 'incident' }];
+    assert.equal(hazardKey(annotations), 'd1:1');
+    assert.notEqual(hazardKey([danger('d1', 12, 2)]), hazardKey(annotations));
+});
+
+test('routes to every exit come back nearest first', async () => {
+    const plan = await createPlanner().plan('drift', { x: 30, z: 5 }, []);
+
+    assert.equal(plan.layout, 'drift');
+    assert.equal(plan.hazardCount, 0);
+    assert.deepEqual(plan.routes.map(r => r.exit.label), ['East Refuge', 'West Portal']);
+    const [nearest, farthest] = plan.routes;
+    assert.equal(nearest.exit.kind, 'refuge');
+    assert.ok(nearest.primary.length < farthest.primary.length);
+    assert.deepEqual(nearest.primary.points[0], { x: 30, z: 5 });
+    assert.deepEqual(nearest.primary.points[nearest.primary.points.length - 1], { x: 38, z: 5 });
+    // Walk times are whole seconds at 1 m/s
+    assert.equal(nearest.primary.walkTime, Math.round(nearest.primary.length));
+});
+
+test('plans are shared within a square meter until the hazards change', async () => {
+    const planner = createPlanner();
+    const first = await planner.plan('drift', { x: 20.1, z: 5.2 }, []);
+
+    assert.equal(await planner.plan('drift', { x: 20.9, z: 5.8 }, []), first);
+    assert.notEqual(await planner.plan('drift', { x: 21.1, z: 5.2 }, []), first);
+
+    const hazards = [danger('d1', 10, 1)];
+    const withHazard = await planner.plan('drift', { x: 20.1, z: 5.2 }, hazards);
+    assert.notEqual(withHazard, first);
+    assert.equal(withHazard.hazardCount, 1);
+    assert.notEqual(await planner.plan('drift', { x: 20.1, z: 5.2 }, [danger('d1', 10, 2)]), withHazard);
+});
+
+test('there is no plan for an unknown layout', async () => {
+    assert.equal(await createPlanner().plan('missing', { x: 0, z: 0 }, []), null);
+});
+
+test('requests beyond the queue limit are refused as busy', async () => {
+    const planner = createPlanner();
+    const results = await Promise.all(Array.from({ length: 25 }, (_, i) => planner
+        .plan('drift', { x: 5 + i, z: 5 }, [])
+        .then(() => 'planned', e => e.code)));
+
+    assert.equal(results.filter(r => r === 'planned').length, 20);
+    assert.equal(results.filter(r => r === 'BUSY').length, 5);
+
+    // Once the queue has drained, planning works again
+    assert.ok(await planner.plan('drift', { x: 35, z: 5 }, []));
+});
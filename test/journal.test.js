@@ -0,0 +1,165 @@
+// Room journal and snapshots (server/journal.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createJournal, applyEntry } = require('../server/journal');
+
+const ROOM = '1234';
+
+function tempDir() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'journal-test-'));
+    test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+function emptyState() {
+    return { createdAt: null, annotations: [], sessionKeys: [], clientIds: [], layout: null, thresholds: null };
+}
+
+function writeJournal(dir, roomId, entries, tail = '') {
+    const text = entries.map(entry => JSON.stringify(entry)).join('\n') + '\n' + tail;
+    fs.writeFileSync(path.join(dir, `room_${roomId}.journal.jsonl`), text);
+}
+
+// Appends and snapshots are written in the background; poll until check() passes
+async function waitFor(check, what) {
+    for (let attempt = 0; attempt < 100; attempt++) {
+        const result = await check();
+        if (result) return result;
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    throw new Error(`timed out waiting for ${what}`);
+}
+
+async function waitForEntries(journal, roomId, count) {
+    return waitFor(async () => {
+        const entries = await journal.auditTrail(roomId);
+        return entries.length >= count && entries;
+    }, `${count} journal entries`);
+}
+
+const danger = (id) => ({ id, type: 'danger', position: { x: 0, y: 0, z: 0 }, radius: 5 });
+
+test('entries rebuild annotations in order', () => {
+    const state = emptyState();
+    applyEntry(state, { op: 'create-room', payload: { createdAt: '2024-05-01T08:00:00.000Z' } });
+    applyEntry(state, { op: 'add', payload: { annotation: danger('a') } });
+    applyEntry(state, { op: 'add', payload: { annotation: danger('c') } });
+    applyEntry(state, { op: 'add', payload: { annotation: danger('b'), index: 1 } });
+    assert.deepEqual(state.annotations.map(a => a.id), ['a', 'b', 'c']);
+
+    applyEntry(state, { op: 'update', payload: { annotation: { ...danger('b'), radius: 8 } } });
+    applyEntry(state, { op: 'remove', payload: { id: 'a' } });
+    assert.deepEqual(state.annotations.map(a => `${a.id}:${a.radius}`), ['b:8', 'c:5']);
+
+    applyEntry(state, { op: 'clear', payload: { count: 2 } });
+    assert.deepEqual(state.annotations, []);
+    assert.equal(state.createdAt, '2024-05-01T08:00:00.000Z');
+});
+
+test('entries restore client ids, pairings, layout and thresholds', () => {
+    const state = emptyState();
+    applyEntry(state, { op: 'add', payload: { annotation: danger('a'), clientId: 'offline-0001' } });
+    applyEntry(state, { op: 'add', payload: { annotation: danger('b') } });
+    applyEntry(state, { op: 'pair', payload: { keyHash: 'h1', deviceType: 'display' } });
+    applyEntry(state, { op: 'pair', payload: { keyHash: 'h2' } });
+    applyEntry(state, { op: 'set-layout', payload: { name: 'north-drift' } });
+    applyEntry(state, { op: 'set-thresholds', payload: { thresholds: { ch4: { warning: 0.8 } } } });
+
+    assert.deepEqual(state.clientIds, ['offline-0001']);
+    assert.deepEqual(state.sessionKeys, [{ keyHash: 'h1', deviceType: 'display' }, { keyHash: 'h2', deviceType: null }]);
+    assert.equal(state.layout, 'north-drift');
+    assert.deepEqual(state.thresholds, { ch4: { warning: 0.8 } });
+});
+
+test('a room is replayed from its snapshot plus newer entries', () => {
+    const dir = tempDir();
+    fs.writeFileSync(path.join(dir, `room_${ROOM}.json`), JSON.stringify({
+        createdAt: '2024-05-01T08:00:00.000Z',
+        annotations: [danger('a')],
+        sessionKeys: [{ keyHash: 'h1', deviceType: 'display' }],
+        clientIds: ['offline-0001'],
+        layout: null,
+        thresholds: null,
+        seq: 2
+    }));
+    writeJournal(dir, ROOM, [
+        { seq: 1, op: 'add', payload: { annotation: danger('old') } },
+        { seq: 2, op: 'add', payload: { annotation: danger('a') } },
+        { seq: 3, op: 'add', payload: { annotation: danger('b'), clientId: 'offline-0002' } }
+    ]);
+
+    const rooms = createJournal({ dataDir: dir, getSnapshot: () => ({}) }).loadAll();
+    const state = rooms.get(ROOM);
+    assert.deepEqual(state.annotations.map(a => a.id), ['a', 'b']);
+    assert.deepEqual(state.clientIds, ['offline-0001', 'offline-0002']);
+});
+
+test('a torn last line is skipped, and the next append starts on a new line', async () => {
+    const dir = tempDir();
+    writeJournal(dir, ROOM, [{ seq: 1, op: 'add', payload: { annotation: danger('a') } }], '{"seq":2,"op":"ad');
+
+    const journal = createJournal({ dataDir: dir, getSnapshot: () => ({}) });
+    assert.deepEqual(journal.loadAll().get(ROOM).annotations.map(a => a.id), ['a']);
+
+    journal.append(ROOM, { deviceType: 'api' }, 'add', { annotation: danger('b') });
+    const entries = await waitForEntries(journal, ROOM, 2);
+    // Numbering carries on from the replayed entries
+    assert.deepEqual(entries.map(e => `${e.seq}:${e.payload.annotation.id}`), ['1:a', '2:b']);
+});
+
+test('snapshots from before device types were kept are upgraded', () => {
+    const dir = tempDir();
+    fs.writeFileSync(path.join(dir, `room_${ROOM}.json`), JSON.stringify({
+        createdAt: '2024-05-01T08:00:00.000Z',
+        annotations: [danger('a')],
+        sessionKeys: ['h1']
+    }));
+
+    const state = createJournal({ dataDir: dir, getSnapshot: () => ({}) }).loadAll().get(ROOM);
+    assert.deepEqual(state.sessionKeys, [{ keyHash: 'h1', deviceType: null }]);
+    assert.deepEqual(state.clientIds, []);
+    assert.equal(state.layout, null);
+});
+
+test('only room files are loaded', () => {
+    const dir = tempDir();
+    fs.mkdirSync(path.join(dir, 'layouts'));
+    fs.writeFileSync(path.join(dir, 'notes.json'), '{}');
+    writeJournal(dir, '5678', [{ seq: 1, op: 'create-room', payload: { createdAt: '2024-05-01T08:00:00.000Z' } }]);
+
+    const rooms = createJournal({ dataDir: dir, getSnapshot: () => ({}) }).loadAll();
+    assert.deepEqual([...rooms.keys()], ['5678']);
+});
+
+test('snapshots are written every snapshotInterval entries', async () => {
+    const dir = tempDir();
+    const state = { createdAt: '2024-05-01T08:00:00.000Z', annotations: [] };
+    const journal = createJournal({ dataDir: dir, snapshotInterval: 2, getSnapshot: () => state });
+
+    state.annotations.push(danger('a'));
+    journal.append(ROOM, { deviceType: 'api' }, 'add', { annotation: danger('a') });
+    assert.equal(fs.existsSync(path.join(dir, `room_${ROOM}.json`)), false);
+    state.annotations.push(danger('b'));
+    journal.append(ROOM, { deviceType: 'api' }, 'add', { annotation: danger('b') });
+    const snapshotPath = path.join(dir, `room_${ROOM}.json`);
+    await waitFor(() => fs.existsSync(snapshotPath), 'the snapshot');
+
+    const snapshot = JSON.parse(fs.readFileSync(snapshotPath, 'utf8'));
+    assert.equal(snapshot.seq, 2);
+    assert.deepEqual(snapshot.annotations.map(a => a.id), ['a', 'b']);
+    assert.equal(fs.existsSync(path.join(dir, `room_${ROOM}.json.tmp`)), false);
+});
+
+test('the audit trail can start after a given entry', async () => {
+    const dir = tempDir();
+    const journal = createJournal({ dataDir: dir, getSnapshot: () => ({}) });
+    assert.deepEqual(await journal.auditTrail(ROOM), []);
+
+    ['a', 'b', 'c'].forEach(id => journal.append(ROOM, { deviceType: 'api' }, 'add', { annotation: danger(id) }));
+    await waitForEntries(journal, ROOM, 3);
+    assert.deepEqual((await journal.auditTrail(ROOM, 1)).map(e => e.seq), [2, 3]);
+});
@@ -0,0 +1,108 @@
+// Payload schemas (server/schemas.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    validateEvent,
+    validateAnnotation,
+    validateLayout,
+    validateThresholds,
+    validateReading,
+    validateWorkerPosition
+} = require('../server/schemas');
+
+const ROOM = '1234';
+const POINT = { x: 1, y: 0, z: -2 };
+
+test('accepts well-formed events', () => {
+    assert.equal(validateEvent('create-room', undefined), null);
+    assert.equal(validateEvent('join-room', { roomId: ROOM, token: 'ABCD-EFGH' }), null);
+    assert.equal(validateEvent('add-danger-zone', { roomId: ROOM, position: POINT, radius: 3 }), null);
+    assert.equal(validateEvent('sensor-reading', { roomId: ROOM, stationId: 'GAS-1', ch4: 0.4 }), null);
+});
+
+test('rejects unknown events', () => {
+    assert.equal(validateEvent('drop-tables', { roomId: ROOM }), 'Unknown event: drop-tables');
+});
+
+test('names the first field that is wrong', () => {
+    assert.equal(validateEvent('add-danger-zone', { roomId: ROOM }), 'add-danger-zone.position is required');
+    assert.equal(validateEvent('add-danger-zone', { roomId: '12', position: POINT }), 'add-danger-zone.roomId has an invalid format');
+    assert.equal(
+        validateEvent('add-danger-zone', { roomId: ROOM, position: { x: 'a', z: 0 } }),
+        'add-danger-zone.position.x must be a number'
+    );
+    assert.equal(
+        validateEvent('add-danger-zone', { roomId: ROOM, position: POINT, radius: 500 }),
+        'add-danger-zone.radius must be between 0.5 and 100'
+    );
+    assert.equal(
+        validateEvent('request-placement', { roomId: ROOM, type: 'arrow' }),
+        'request-placement.type must be one of: danger, incident, sensor'
+    );
+});
+
+test('rejects non-finite numbers and payloads that are not objects', () => {
+    assert.equal(
+        validateEvent('tablet-movement', { roomId: ROOM, rotation: { alpha: NaN, beta: 0, gamma: 0 }, speed: 0 }),
+        'tablet-movement.rotation.alpha must be a number'
+    );
+    assert.equal(validateEvent('undo', 'room 1234'), 'undo must be an object');
+    assert.equal(validateEvent('undo', [ROOM]), 'undo must be an object');
+});
+
+test('checks list lengths and items', () => {
+    const vertices = [{ x: 0, z: 0 }, { x: 1, z: 0 }];
+    assert.equal(
+        validateEvent('add-restricted-zone', { roomId: ROOM, vertices }),
+        'add-restricted-zone.vertices needs at least 3 items'
+    );
+    assert.equal(
+        validateEvent('add-restricted-zone', { roomId: ROOM, vertices: [...vertices, { x: 1 }] }),
+        'add-restricted-zone.vertices[2].z is required'
+    );
+});
+
+test('only accepts well-formed client ids on adds', () => {
+    const add = (clientId) => validateEvent('add-danger-zone', { roomId: ROOM, position: POINT, clientId });
+    assert.equal(add('c1a2b3c4-offline'), null);
+    assert.equal(add('short'), 'add-danger-zone.clientId has an invalid format');
+    assert.equal(add('x'.repeat(65)), 'add-danger-zone.clientId must be at most 64 characters');
+});
+
+test('a new arrow needs both ends or waypoints', () => {
+    const waypoints = [{ x: 0, z: 0 }, { x: 5, z: 5 }];
+    assert.equal(validateEvent('add-arrow', { roomId: ROOM, start: POINT, end: POINT }), null);
+    assert.equal(validateEvent('add-arrow', { roomId: ROOM, waypoints }), null);
+    assert.equal(validateEvent('add-arrow', { roomId: ROOM, start: POINT }), 'add-arrow needs start and end, or waypoints');
+
+    assert.equal(validateAnnotation('arrow', { waypoints }), null);
+    assert.equal(validateAnnotation('arrow', { end: POINT }), 'arrow needs start and end, or waypoints');
+    // Changes to an existing arrow may move one end only
+    assert.equal(validateAnnotation('arrow', { end: POINT }, { partial: true }), null);
+});
+
+test('validates annotations by type, fully or as changes', () => {
+    assert.equal(validateAnnotation('pothole', {}), 'Unknown annotation type: pothole');
+    assert.equal(validateAnnotation('incident', { position: POINT, date: '2024-13' }), 'incident.date has an invalid format');
+    assert.equal(validateAnnotation('incident', { position: POINT, date: '' }), null);
+    assert.equal(validateAnnotation('danger', { radius: 4 }), 'danger.position is required');
+    assert.equal(validateAnnotation('danger', { radius: 4 }, { partial: true }), null);
+    assert.equal(validateAnnotation('restricted', { active: 'yes' }, { partial: true }), 'restricted.active must be true or false');
+});
+
+test('validates layouts, thresholds, readings and worker positions', () => {
+    const wall = { start: { x: 0, z: 0 }, end: { x: 10, z: 0 } };
+    assert.equal(validateLayout({ walls: [wall] }), null);
+    assert.equal(validateLayout({ walls: [] }), 'layout.walls needs at least 1 items');
+
+    assert.equal(validateThresholds({ ch4: { warning: 0.8 } }), null);
+    assert.equal(validateThresholds({ co: { warning: 'x' } }), 'thresholds.co.warning must be a number');
+
+    assert.equal(validateReading({ temperature: 28 }), null);
+    assert.equal(validateReading({}), 'reading needs at least one of: o2, ch4, co, temperature');
+    assert.equal(validateReading({ o2: 120 }), 'reading.o2 must be between 0 and 100');
+
+    assert.equal(validateWorkerPosition({ workerId: 'W-1', position: { x: 1, z: 2 } }), null);
+    assert.equal(validateWorkerPosition({ workerId: 'W 1', position: { x: 1, z: 2 } }), 'report.workerId has an invalid format');
+});
@@ -0,0 +1,92 @@
+// Sensor station time series (server/sensor-history.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSensorHistory } = require('../server/sensor-history');
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+const START = Date.parse('2024-05-01T08:00:00.000Z');
+
+function tempDir() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sensor-history-test-'));
+    test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+// Readings are written in the background; poll until check() passes
+async function waitFor(check, what) {
+    for (let attempt = 0; attempt < 100; attempt++) {
+        const result = await check();
+        if (result) return result;
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    throw new Error(`timed out waiting for ${what}`);
+}
+
+test('short ranges are answered from raw readings, merged into buckets', async () => {
+    const history = createSensorHistory({ dataDir: tempDir() });
+    [0.2, 0.4, 0.9].forEach((ch4, i) => history.record('1234', 'GAS-1', { ch4 }, START + i * 1000));
+    history.record('1234', 'GAS-1', { ch4: 0.3, o2: 20.9 }, START + 10 * MINUTE);
+
+    const result = await waitFor(async () => {
+        const answer = await history.query('1234', 'GAS-1', START, START + 20 * MINUTE, 10);
+        return answer.buckets.length === 2 && answer;
+    }, 'the raw readings');
+
+    assert.equal(result.resolution, 'raw');
+    assert.deepEqual(result.buckets[0], { t: START, values: { ch4: { n: 3, min: 0.2, avg: 0.5, max: 0.9 } } });
+    assert.deepEqual(result.buckets[1].values.o2, { n: 1, min: 20.9, avg: 20.9, max: 20.9 });
+});
+
+test('long ranges are answered from minute aggregates, including the minute in progress', async () => {
+    const history = createSensorHistory({ dataDir: tempDir() });
+    history.record('1234', 'GAS-1', { co: 4 }, START);
+    history.record('1234', 'GAS-1', { co: 8 }, START + 30 * 1000);
+    history.record('1234', 'GAS-1', { co: 20 }, START + 5 * MINUTE);
+
+    const result = await waitFor(async () => {
+        const answer = await history.query('1234', 'GAS-1', START, START + 6 * 60 * MINUTE, 6);
+        return answer.buckets.length > 0 && answer.buckets[0].values.co.n === 3 && answer;
+    }, 'the minute aggregates');
+
+    assert.equal(result.resolution, 'minute');
+    assert.deepEqual(result.buckets[0].values.co, { n: 3, min: 4, avg: 32 / 3, max: 20 });
+});
+
+test('stations and rooms are kept apart', async () => {
+    const history = createSensorHistory({ dataDir: tempDir() });
+    history.record('1234', 'GAS-1', { ch4: 0.2 }, START);
+    history.record('1234', 'GAS-2', { ch4: 0.7 }, START);
+    history.record('5678', 'GAS-1', { ch4: 0.9 }, START);
+
+    const average = async (roomId, stationId) => {
+        const answer = await waitFor(async () => {
+            const result = await history.query(roomId, stationId, START, START + MINUTE);
+            return result.buckets.length > 0 && result;
+        }, `readings of ${roomId}/${stationId}`);
+        return answer.buckets[0].values.ch4.avg;
+    };
+    assert.equal(await average('1234', 'GAS-1'), 0.2);
+    assert.equal(await average('1234', 'GAS-2'), 0.7);
+    assert.equal(await average('5678', 'GAS-1'), 0.9);
+});
+
+test('old day files are pruned when a station starts a new day', async () => {
+    const dataDir = tempDir();
+    const dir = path.join(dataDir, 'room_1234', 'GAS-1');
+    fs.mkdirSync(dir, { recursive: true });
+    ['2024-04-28.raw.jsonl', '2024-04-30.raw.jsonl', '2024-04-28.minute.jsonl', 'notes.txt']
+        .forEach(file => fs.writeFileSync(path.join(dir, file), ''));
+
+    const history = createSensorHistory({ dataDir, rawRetentionDays: 2, minuteRetentionDays: 30 });
+    history.record('1234', 'GAS-1', { ch4: 0.2 }, START);
+
+    await waitFor(() => !fs.existsSync(path.join(dir, '2024-04-28.raw.jsonl')), 'the old raw file to go');
+    const files = fs.readdirSync(dir).sort();
+    assert.deepEqual(files, ['2024-04-28.minute.jsonl', '2024-04-30.raw.jsonl', '2024-05-01.raw.jsonl', 'notes.txt']);
+    assert.equal(history.maxRange, 30 * DAY);
+});
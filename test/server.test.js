@@ -0,0 +1,210 @@
+// Server behavior over Socket.IO and the REST API (server/server.js), against a
+// real server process with its own data directory
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { io } = require('socket.io-client');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'server-test-'));
+let server = null;
+let baseUrl = null;
+const sockets = [];
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.on('error', reject);
+        probe.listen(0, () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+// Start the server and resolve once it listens; the room codes it prints to
+// take a room over are collected in server.reclaimCodes
+async function startServer() {
+    const port = await freePort();
+    baseUrl = `http://localhost:${port}`;
+    server = spawn(process.execPath, [path.join(__dirname, '../server/server.js')], {
+        env: { ...process.env, PORT: String(port), DATA_DIR: dataDir },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    server.reclaimCodes = new Map();
+
+    await new Promise((resolve, reject) => {
+        let output = '';
+        server.stdout.on('data', chunk => {
+            output += chunk;
+            for (const [, roomId, code] of output.matchAll(/room=(\d{4})&reclaim=(\w+)/g)) {
+                server.reclaimCodes.set(roomId, code);
+            }
+            if (output.includes('Server running')) resolve();
+        });
+        server.stderr.resume();
+        server.on('exit', code => reject(new Error(`server exited with ${code}:\n${output}`)));
+    });
+}
+
+async function stopServer() {
+    sockets.splice(0).forEach(socket => socket.close());
+    if (!server || server.exitCode !== null) return;
+    const exited = new Promise(resolve => server.once('exit', resolve));
+    server.kill();
+    await exited;
+}
+
+test.before(startServer);
+test.after(async () => {
+    await stopServer();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+function connect() {
+    const socket = io(baseUrl, { transports: ['websocket'], reconnection: false });
+    sockets.push(socket);
+    return socket;
+}
+
+// Emit with an acknowledgement and resolve with the server's answer
+function ask(socket, event, ...args) {
+    return new Promise(resolve => socket.emit(event, ...args, resolve));
+}
+
+function api(method, url, { key, body, rawBody } = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (key) headers['X-Session-Key'] = key;
+    return fetch(`${baseUrl}/api${url}`, { method, headers, body: rawBody || (body && JSON.stringify(body)) })
+        .then(async res => ({ status: res.status, type: res.headers.get('content-type'), data: await res.json() }));
+}
+
+// A room with its display connected, plus a paired controller
+async function createRoom() {
+    const display = connect();
+    const created = await ask(display, 'create-room');
+    assert.equal(created.success, true);
+
+    const controller = connect();
+    const joined = await ask(controller, 'join-room', { roomId: created.roomCode, token: created.pairingToken, name: 'Tester' });
+    assert.equal(joined.success, true);
+    return { roomId: created.roomCode, displayKey: created.sessionKey, display, controller, controllerKey: joined.sessionKey };
+}
+
+async function waitForJournal(roomId, key, count) {
+    for (let attempt = 0; attempt < 100; attempt++) {
+        const { data } = await api('GET', `/rooms/${roomId}/journal`, { key });
+        if (data.entries.length >= count) return data.entries;
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error(`journal of room ${roomId} never reached ${count} entries`);
+}
+
+const DANGER = { position: { x: 4, y: 0, z: -6 }, radius: 3 };
+
+test('an add replayed with the same clientId is acknowledged but applied once', async () => {
+    const { roomId, controller } = await createRoom();
+    const add = () => ask(controller, 'add-danger-zone', { roomId, clientId: 'offline-action-0001', ...DANGER });
+
+    const first = await add();
+    assert.equal(first.success, true);
+    assert.equal(first.annotation.type, 'danger');
+    assert.deepEqual(await add(), { success: true, duplicate: true });
+
+    const { data } = await api('GET', `/rooms/${roomId}/annotations`);
+    assert.equal(data.annotations.length, 1);
+});
+
+test('events are validated before they reach a handler', async () => {
+    const { roomId, controller } = await createRoom();
+
+    const invalid = await ask(controller, 'add-danger-zone', { roomId, position: { x: 'far', z: 0 } });
+    assert.deepEqual(invalid, { success: false, error: 'add-danger-zone.position.x must be a number' });
+
+    // Anything after the payload can only be the acknowledgement
+    const reply = new Promise(resolve => controller.once('validation-error', resolve));
+    controller.emit('add-danger-zone', { roomId, ...DANGER }, 'not a callback');
+    assert.deepEqual(await reply, {
+        event: 'add-danger-zone',
+        error: 'add-danger-zone takes a payload and an optional acknowledgement callback only'
+    });
+
+    const { data } = await api('GET', `/rooms/${roomId}/annotations`);
+    assert.equal(data.annotations.length, 0);
+});
+
+test('a socket can only change the room it is paired with', async () => {
+    const { roomId: otherRoom } = await createRoom();
+    const { controller } = await createRoom();
+
+    const answer = await ask(controller, 'add-danger-zone', { roomId: otherRoom, ...DANGER });
+    assert.deepEqual(answer, { success: false, error: 'Not paired with this room' });
+});
+
+test('a session key only reconnects as the device it was issued to', async () => {
+    const { roomId, controllerKey, displayKey } = await createRoom();
+
+    const asDisplay = await ask(connect(), 'reconnect-room', { roomId, deviceType: 'display', sessionKey: controllerKey });
+    assert.deepEqual(asDisplay, { success: false, error: 'Pairing required' });
+
+    const asController = await ask(connect(), 'reconnect-room', { roomId, deviceType: 'controller', sessionKey: controllerKey });
+    assert.equal(asController.success, true);
+
+    const display = await ask(connect(), 'reconnect-room', { roomId, deviceType: 'display', sessionKey: displayKey });
+    assert.equal(display.success, true);
+});
+
+test('malformed API bodies get a JSON error', async () => {
+    const { roomId, controllerKey } = await createRoom();
+    const answer = await api('POST', `/rooms/${roomId}/annotations`, { key: controllerKey, rawBody: '{"type": "danger",' });
+
+    assert.equal(answer.status, 400);
+    assert.match(answer.type, /application\/json/);
+    assert.deepEqual(answer.data, { success: false, error: 'Invalid JSON body' });
+});
+
+test('the room journal needs a session key', async () => {
+    const { roomId, controllerKey } = await createRoom();
+
+    const anonymous = await api('GET', `/rooms/${roomId}/journal`);
+    assert.equal(anonymous.status, 401);
+
+    const entries = await waitForJournal(roomId, controllerKey, 3);
+    assert.deepEqual(entries.map(e => e.op), ['create-room', 'pair', 'pair']);
+    // Only hashes of the session keys are written down
+    assert.ok(entries.every(e => !JSON.stringify(e).includes(controllerKey)));
+});
+
+test('rooms survive a restart, and a display can take one back with the printed code', async () => {
+    const { roomId, controller, controllerKey } = await createRoom();
+    await ask(controller, 'add-danger-zone', { roomId, clientId: 'offline-action-0002', ...DANGER });
+    await waitForJournal(roomId, controllerKey, 4);
+
+    await stopServer();
+    await startServer();
+
+    // Client ids are restored too, so a replay after the restart is still ignored
+    const tablet = connect();
+    assert.equal((await ask(tablet, 'reconnect-room', { roomId, deviceType: 'controller', sessionKey: controllerKey })).success, true);
+    const replay = await ask(tablet, 'add-danger-zone', { roomId, clientId: 'offline-action-0002', ...DANGER });
+    assert.deepEqual(replay, { success: true, duplicate: true });
+
+    const code = server.reclaimCodes.get(roomId);
+    assert.ok(code, 'the server prints a reclaim code for the restored room');
+    const display = connect();
+    assert.deepEqual(await ask(display, 'reclaim-room', { roomId, token: 'WRONGCOD' }), { success: false, error: 'Invalid reclaim code' });
+
+    const reclaimed = await ask(display, 'reclaim-room', { roomId, token: code });
+    assert.equal(reclaimed.success, true);
+    assert.equal(reclaimed.annotations.length, 1);
+    assert.match(reclaimed.sessionKey, /^[0-9a-f]{48}$/);
+
+    // The code works once, and tablets can pair with the display again
+    assert.deepEqual(await ask(connect(), 'reclaim-room', { roomId, token: code }), { success: false, error: 'Room already has a display' });
+    const joined = await ask(connect(), 'join-room', { roomId, token: reclaimed.pairingToken });
+    assert.equal(joined.success, true);
+});